@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+// ---------------- dtf: Drug Target Finder on the command line ----------------
+// Runs the page's analyses headlessly over the bundled data, an imported
+// interaction file or a saved workspace, printing JSON or CSV.
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { Graph } from "../config/Graph.js";
+import { parseNetworkFile, importEdges } from "../config/importers.js";
+import { toCSV, resultToCSV } from "../config/exporters.js";
+import {
+  getDrugTables,
+  setDrugTables,
+  getDrugTargets,
+  getDrugDestination,
+  resolveDrugName,
+} from "../config/drugs.js";
+import {
+  algorithms,
+  analyzeDrug,
+  analyzeAllDrugs,
+  analyzeProteins,
+  centralityMetrics,
+  centralityScores,
+  loadInteractions,
+} from "../config/analysis.js";
+import { proteinInteractions } from "../data/interactions.js";
+
+const usage = `Usage:
+  dtf path <drug...> [options]    Analyse drugs (names, synonyms or brands)
+  dtf path --all [options]        Analyse every drug in the table
+  dtf path --from <list> --dest <list|reachable> [options]
+                                  Analyse from proteins instead of a drug
+  dtf centrality [options]        Rank proteins by centrality
+  dtf drugs [options]             List drugs, targets and destinations
+
+Analysis:
+  -a, --algo <name>        ${algorithms.join(", ")} (default bfs)
+  -c, --cost <model>       confidence, inverse, hops or raw
+                           (default confidence)
+  -k, --paths <n>          Paths for kshortest (default 3)
+      --dest <list>        Comma-separated destinations, or "reachable" for
+                           every protein reached, instead of the drug's own
+                           (several are supported by bfs, dijkstra and
+                           kshortest)
+      --from <list>        Comma-separated source proteins
+      --restart <p>        Restart probability for diffusion (default 0.3)
+      --knockout <list>    Comma-separated proteins for knockout
+      --order <order>      betweenness or random, for robustness
+      --rule <rule>        threshold or boolean, for propagation
+      --threshold <t>      Activation threshold, for propagation (default 0.2)
+      --steps <n>          Steps to simulate, for propagation (default 10)
+      --no-decay           Do not attenuate propagation by confidence
+
+Centrality:
+  -m, --metric <name>      ${Object.keys(centralityMetrics).join(", ")}
+      --normalization <n>  none, max, sum or minmax (default max)
+      --weighted           Use confidences as weights
+  -d, --drug <drug>        Betweenness from this drug's targets only
+
+Input and output:
+  -n, --network <file>     Interaction file (CSV, TSV or SIF) to use instead
+                           of the bundled network
+      --min-score <s>      Skip interactions below this confidence
+  -w, --workspace <file>   Saved workspace JSON (network and drug tables)
+  -f, --format <format>    json or csv (default json)
+  -o, --output <file>      Write to a file instead of stdout
+  -h, --help               Show this help`;
+
+const options = {
+  all: { type: "boolean" },
+  algo: { type: "string", short: "a", default: "bfs" },
+  cost: { type: "string", short: "c", default: "confidence" },
+  paths: { type: "string", short: "k", default: "3" },
+  dest: { type: "string" },
+  from: { type: "string" },
+  restart: { type: "string", default: "0.3" },
+  knockout: { type: "string", default: "" },
+  order: { type: "string", default: "betweenness" },
+  rule: { type: "string", default: "threshold" },
+  threshold: { type: "string", default: "0.2" },
+  steps: { type: "string", default: "10" },
+  "no-decay": { type: "boolean" },
+  metric: { type: "string", short: "m", default: "betweenness" },
+  normalization: { type: "string", default: "max" },
+  weighted: { type: "boolean" },
+  drug: { type: "string", short: "d" },
+  network: { type: "string", short: "n" },
+  "min-score": { type: "string", default: "0" },
+  workspace: { type: "string", short: "w" },
+  format: { type: "string", short: "f", default: "json" },
+  output: { type: "string", short: "o" },
+  help: { type: "boolean", short: "h" },
+};
+
+// Loads the network to analyse: a workspace, an interaction file or the
+// bundled interactions, in that order of preference.
+function loadGraph(args) {
+  const graph = new Graph();
+  if (args.workspace) {
+    const workspace = JSON.parse(readFileSync(args.workspace, "utf8"));
+    if (!workspace.network || !workspace.drugs)
+      throw new Error(`${args.workspace} is not a saved workspace`);
+    graph.adjacencyList = workspace.network;
+    graph
+      .removeDanglingEdges()
+      .forEach((edge) =>
+        console.warn(`${args.workspace}: dropped ${edge}, unknown protein`)
+      );
+    setDrugTables({ destinations: {}, ...workspace });
+  } else if (args.network) {
+    const { edges, nodes, rejected } = parseNetworkFile(
+      readFileSync(args.network, "utf8"),
+      { fileName: args.network, minScore: Number(args["min-score"]) || 0 }
+    );
+    const imported = importEdges(graph, edges, { nodes });
+    [...rejected, ...imported.rejected].forEach(({ line, reason }) =>
+      console.warn(`${args.network}:${line}: ${reason}`)
+    );
+    if (imported.added === 0)
+      throw new Error(`No interactions found in ${args.network}`);
+  } else {
+    loadInteractions(graph, proteinInteractions);
+  }
+  return graph;
+}
+
+// Resolves a drug the way the search box does, noting any correction
+const resolveDrug = (query) => {
+  const { drug, match, suggestions } = resolveDrugName(query);
+  if (!drug) {
+    throw new Error(
+      `Drug ${query} not found${
+        suggestions.length ? `. Did you mean ${suggestions.join(" or ")}?` : ""
+      }`
+    );
+  }
+  if (match !== "exact") console.warn(`Using ${drug} for "${query}"`);
+  return drug;
+};
+
+const proteinList = (text = "") =>
+  text
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+const analysisOptions = (args) => ({
+  algorithm: args.algo,
+  costModel: args.cost,
+  destination:
+    args.dest && args.dest !== "reachable" ? proteinList(args.dest) : args.dest,
+  k: parseInt(args.paths, 10),
+  restart: Number(args.restart),
+  knockout: proteinList(args.knockout),
+  order: args.order,
+  rule: args.rule,
+  threshold: Number(args.threshold),
+  steps: parseInt(args.steps, 10),
+  decay: !args["no-decay"],
+});
+
+// One row per drug, with its stats spread into columns, for batch reports
+function resultsToCSV(results) {
+  const statColumns = [
+    ...new Set(results.flatMap((r) => Object.keys(r.stats || {}))),
+  ];
+  const rows = results.map((r) => ({
+    drug: r.drug,
+    analysis: r.analysis,
+    targets: (r.targets || []).join(" "),
+    destination: r.destination,
+    ...r.stats,
+    path: r.paths && r.paths.length ? r.paths[0].path.join(" -> ") : "",
+    error: r.error,
+  }));
+  return toCSV(rows, [
+    "drug",
+    "analysis",
+    "targets",
+    "destination",
+    ...statColumns,
+    "path",
+    "error",
+  ]);
+}
+
+const commands = {
+  path: (graph, args, drugs) => {
+    if (!algorithms.includes(args.algo))
+      throw new Error(`Unknown algorithm: ${args.algo}`);
+    const settings = analysisOptions(args);
+    if (args.from) {
+      const result = analyzeProteins(graph, proteinList(args.from), settings);
+      return { json: result, csv: () => resultToCSV(result) };
+    }
+    if (args.all || drugs.length > 1) {
+      const results = args.all
+        ? analyzeAllDrugs(graph, settings)
+        : drugs.map((query) => {
+            try {
+              return analyzeDrug(graph, resolveDrug(query), settings);
+            } catch (err) {
+              return { analysis: args.algo, drug: query, error: err.message };
+            }
+          });
+      return { json: results, csv: () => resultsToCSV(results) };
+    }
+    if (drugs.length === 0) throw new Error("Name a drug or pass --all");
+    const result = analyzeDrug(graph, resolveDrug(drugs[0]), settings);
+    return { json: result, csv: () => resultToCSV(result) };
+  },
+
+  centrality: (graph, args) => {
+    const sources = args.drug
+      ? getDrugTargets(resolveDrug(args.drug))
+          .map((t) => t.protein)
+          .filter((p) => graph.adjacencyList[p])
+      : undefined;
+    const scores = centralityScores(graph, {
+      metric: args.metric,
+      weighted: Boolean(args.weighted),
+      normalization: args.normalization,
+      sources: args.metric === "betweenness" ? sources : undefined,
+    });
+    const rows = Object.entries(scores)
+      .sort((a, b) => b[1] - a[1])
+      .map(([protein, score]) => ({ protein, score }));
+    return {
+      json: {
+        analysis: args.metric,
+        drug: args.drug,
+        stats: {
+          weighted: Boolean(args.weighted),
+          normalization: args.normalization,
+        },
+        values: scores,
+      },
+      csv: () => toCSV(rows, ["protein", "score"]),
+    };
+  },
+
+  drugs: (graph) => {
+    const rows = Object.keys(getDrugTables().drugs).map((drug) => ({
+      drug,
+      targets: getDrugTargets(drug)
+        .map((t) => `${t.protein} (${t.action}, ${t.affinity})`)
+        .join("; "),
+      destination: getDrugDestination(drug),
+      inNetwork: getDrugTargets(drug).some(
+        (t) => graph.adjacencyList[t.protein]
+      ),
+    }));
+    return {
+      json: rows,
+      csv: () => toCSV(rows, ["drug", "targets", "destination", "inNetwork"]),
+    };
+  },
+};
+
+function main(argv) {
+  const { values: args, positionals } = parseArgs({
+    args: argv,
+    options,
+    allowPositionals: true,
+  });
+  const [command, ...drugs] = positionals;
+  if (args.help || !command) return console.log(usage);
+  if (!commands[command]) throw new Error(`Unknown command: ${command}`);
+  if (!["json", "csv"].includes(args.format))
+    throw new Error(`Unknown format: ${args.format}`);
+
+  const output = commands[command](loadGraph(args), args, drugs);
+  const text =
+    args.format === "csv" ? output.csv() : JSON.stringify(output.json, null, 2);
+  if (args.output) writeFileSync(args.output, `${text}\n`);
+  else console.log(text);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error(`dtf: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -1,3 +1,166 @@
+import { Queue, PriorityQueue } from "./queues.js";
+
+// ---------------- Cost Models ----------------
+// Interaction weights are confidences in the 0–1 range; each model turns a
+// confidence into a non-negative edge cost that Dijkstra can minimise.
+const toConfidence = (weight) => Math.min(Math.max(weight, 0), 1);
+
+export const costModels = {
+  confidence: (weight) => -Math.log(toConfidence(weight)) || 0,
+  inverse: (weight) => 1 - toConfidence(weight),
+  hops: () => 1,
+  raw: (weight) => weight,
+};
+
+// Weighted centrality also reads confidences as distances, 1 / confidence, so
+// that strong interactions are short. It is not a path cost model.
+const distanceModels = {
+  ...costModels,
+  reciprocal: (weight) => 1 / toConfidence(weight),
+};
+
+export function edgeCost(weight, costModel = "confidence") {
+  const model = costModels[costModel];
+  if (!model) throw new Error(`Unknown cost model: ${costModel}`);
+  return model(weight);
+}
+
+// Costs of every edge in an index (see Graph.index), computed once per model
+const edgeCosts = (index, costModel) => {
+  if (!index.costs[costModel]) {
+    const model = distanceModels[costModel];
+    if (!model) throw new Error(`Unknown cost model: ${costModel}`);
+    index.costs[costModel] = index.weights.map((weight) => model(weight));
+  }
+  return index.costs[costModel];
+};
+
+// Distances, shortest-path counts and predecessors from protein number
+// `source` of an index, plus the order in which proteins were settled: BFS
+// when `costs` is null (hop counts), Dijkstra otherwise.
+const pathDag = ({ names, offsets, targets }, source, costs) => {
+  const n = names.length;
+  const dist = new Float64Array(n).fill(Infinity);
+  const sigma = new Float64Array(n);
+  const pred = Array.from({ length: n }, () => []);
+  const order = [];
+  dist[source] = 0;
+  sigma[source] = 1;
+
+  if (!costs) {
+    // `order` doubles as the BFS queue
+    order.push(source);
+    for (let head = 0; head < order.length; head++) {
+      const v = order[head];
+      for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+        const w = targets[e];
+        if (dist[w] === Infinity) {
+          dist[w] = dist[v] + 1;
+          order.push(w);
+        }
+        if (dist[w] === dist[v] + 1) {
+          sigma[w] += sigma[v];
+          pred[w].push(v);
+        }
+      }
+    }
+    return { dist, sigma, pred, order };
+  }
+
+  const settled = new Uint8Array(n);
+  const pending = new PriorityQueue();
+  pending.push(source, 0, source);
+  const EPSILON = 1e-12;
+  while (pending.length > 0) {
+    const { item: v } = pending.pop();
+    if (settled[v]) continue;
+    settled[v] = 1;
+    order.push(v);
+
+    for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+      const w = targets[e];
+      if (settled[w]) continue;
+      const alt = dist[v] + costs[e];
+      if (alt < dist[w] - EPSILON) {
+        dist[w] = alt;
+        sigma[w] = sigma[v];
+        pred[w] = [v];
+        pending.push(w, alt, w);
+      } else if (Math.abs(alt - dist[w]) <= EPSILON) {
+        sigma[w] += sigma[v];
+        pred[w].push(v);
+      }
+    }
+  }
+  return { dist, sigma, pred, order };
+};
+
+// Multi-source Dijkstra over an index, stopping once protein number `goal`
+// is settled (or running to completion without one). `excluded` flags
+// proteins to skip; `excludedEdges` holds "source->target" keys.
+const dijkstraSearch = (
+  { names, ids, offsets, targets },
+  start,
+  costs,
+  { goal = -1, excluded = null, excludedEdges = new Set(), sourceCosts = {} }
+) => {
+  const n = names.length;
+  const distances = new Float64Array(n).fill(Infinity);
+  const prev = new Int32Array(n).fill(-1);
+  const settled = new Uint8Array(n);
+  const pq = new PriorityQueue();
+  [].concat(start).forEach((s) => {
+    const i = ids.get(s);
+    if (i === undefined) return;
+    distances[i] = Math.min(distances[i], sourceCosts[s] ?? 0);
+    pq.push(i, distances[i], -i);
+  });
+
+  while (pq.length > 0) {
+    const { item: current } = pq.pop();
+    if (settled[current]) continue;
+    settled[current] = 1;
+    if (current === goal) break;
+
+    for (let e = offsets[current]; e < offsets[current + 1]; e++) {
+      const neighbor = targets[e];
+      if (
+        (excluded && excluded[neighbor]) ||
+        (excludedEdges.size > 0 &&
+          excludedEdges.has(`${names[current]}->${names[neighbor]}`))
+      )
+        continue;
+      const alt = distances[current] + costs[e];
+      if (alt < distances[neighbor]) {
+        distances[neighbor] = alt;
+        prev[neighbor] = current;
+        pq.push(neighbor, alt, -neighbor);
+      }
+    }
+  }
+  return { distances, prev };
+};
+
+const tracePath = (names, prev, end) => {
+  const path = [];
+  for (let v = end; v !== -1; v = prev[v]) path.push(names[v]);
+  return path.reverse();
+};
+
+const dagCosts = (index, costModel) =>
+  costModel === "hops" ? null : edgeCosts(index, costModel);
+
+// ---------------- Interaction Effects ----------------
+// An interaction may activate or inhibit its target; unsigned interactions
+// leave the effect unknown.
+export const effectSigns = { activation: 1, inhibition: -1 };
+
+const checkEffect = (effect) => {
+  if (effect !== undefined && !(effect in effectSigns)) {
+    throw new Error(`Invalid edge: unknown effect "${effect}".`);
+  }
+};
+
 export class Graph {
   constructor() {
     this.adjacencyList = {};
@@ -9,29 +172,163 @@ export class Graph {
     }
   }
 
-  addEdge(vertex1, vertex2, weight = 1) {
-    this.addVertex(vertex1);
-    this.addVertex(vertex2);
-
+  addEdge(vertex1, vertex2, weight = 1, effect) {
     // Prevent self-loops
     if (vertex1 === vertex2) {
       throw new Error("Invalid edge: self-loops not allowed.");
     }
+    checkEffect(effect);
+
+    this.addVertex(vertex1);
+    this.addVertex(vertex2);
 
     // Prevent duplicate edges
     if (this.adjacencyList[vertex1].some((e) => e.node === vertex2)) {
       throw new Error("Invalid edge: duplicate edge not allowed.");
     }
 
-    this.adjacencyList[vertex1].push({ node: vertex2, weight });
+    this.adjacencyList[vertex1].push(
+      effect ? { node: vertex2, weight, effect } : { node: vertex2, weight }
+    );
+  }
+
+  // Removes a protein and every interaction touching it. Returns the removed
+  // incoming edges as { source, edge } so the removal can be undone.
+  removeVertex(vertex) {
+    if (!this.adjacencyList[vertex]) {
+      throw new Error(`Invalid vertex: ${vertex} is not in the network.`);
+    }
+
+    const incoming = [];
+    delete this.adjacencyList[vertex];
+    for (let u in this.adjacencyList) {
+      this.adjacencyList[u] = this.adjacencyList[u].filter((edge) => {
+        if (edge.node !== vertex) return true;
+        incoming.push({ source: u, edge });
+        return false;
+      });
+    }
+    return incoming;
+  }
+
+  removeEdge(vertex1, vertex2) {
+    const edges = this.adjacencyList[vertex1] || [];
+    const index = edges.findIndex((e) => e.node === vertex2);
+    if (index === -1) {
+      throw new Error(
+        `Invalid edge: no interaction from ${vertex1} to ${vertex2}.`
+      );
+    }
+    return edges.splice(index, 1)[0];
+  }
+
+  updateEdge(vertex1, vertex2, weight) {
+    const edge = this.getEdge(vertex1, vertex2);
+    if (!edge) {
+      throw new Error(
+        `Invalid edge: no interaction from ${vertex1} to ${vertex2}.`
+      );
+    }
+    const previous = edge.weight;
+    edge.weight = weight;
+    return previous;
+  }
+
+  // Sets or, with undefined, clears an interaction's effect. Returns the
+  // previous effect.
+  setEdgeEffect(vertex1, vertex2, effect) {
+    const edge = this.getEdge(vertex1, vertex2);
+    if (!edge) {
+      throw new Error(
+        `Invalid edge: no interaction from ${vertex1} to ${vertex2}.`
+      );
+    }
+    checkEffect(effect);
+    const previous = edge.effect;
+    if (effect) edge.effect = effect;
+    else delete edge.effect;
+    return previous;
+  }
+
+  getEdge(vertex1, vertex2) {
+    return (this.adjacencyList[vertex1] || []).find((e) => e.node === vertex2);
+  }
+
+  clone() {
+    const copy = new Graph();
+    copy.adjacencyList = structuredClone(this.adjacencyList);
+    return copy;
+  }
+
+  // A copy of the network with the given proteins knocked out
+  withoutVertices(vertices) {
+    const copy = this.clone();
+    vertices
+      .filter((v) => copy.adjacencyList[v])
+      .forEach((v) => copy.removeVertex(v));
+    return copy;
+  }
+
+  // Drops interactions whose target is missing from the list, as a
+  // hand-edited or old workspace may have, and returns them as "A → B"
+  removeDanglingEdges() {
+    const dropped = [];
+    for (let u in this.adjacencyList) {
+      this.adjacencyList[u] = this.adjacencyList[u].filter(({ node }) => {
+        if (this.adjacencyList[node]) return true;
+        dropped.push(`${u} → ${node}`);
+        return false;
+      });
+    }
+    return dropped;
+  }
+
+  // ---------------- Indexed Adjacency ----------------
+  // Proteins numbered 0..n−1 with their interactions packed into flat arrays:
+  // protein i's edges are offsets[i] up to offsets[i + 1] in `targets` and
+  // `weights`. The list is edited in place elsewhere, so this is a snapshot
+  // built per analysis; pass it back in (e.g. to dijkstra) to reuse it.
+  // Throws on an interaction with a protein missing from the list (see
+  // removeDanglingEdges).
+  index() {
+    const names = Object.keys(this.adjacencyList);
+    const ids = new Map(names.map((name, i) => [name, i]));
+    const offsets = new Int32Array(names.length + 1);
+    names.forEach(
+      (name, i) =>
+        (offsets[i + 1] = offsets[i] + this.adjacencyList[name].length)
+    );
+    const targets = new Int32Array(offsets[names.length]);
+    const weights = new Float64Array(offsets[names.length]);
+    names.forEach((name, i) =>
+      this.adjacencyList[name].forEach(({ node, weight }, j) => {
+        if (!ids.has(node)) {
+          throw new Error(
+            `Invalid edge: ${name} → ${node} leads to a protein not in the network.`
+          );
+        }
+        targets[offsets[i] + j] = ids.get(node);
+        weights[offsets[i] + j] = weight;
+      })
+    );
+    return { names, ids, offsets, targets, weights, costs: {} };
   }
 
   // ---------------- BFS ----------------
+  // `start` may be a single protein or a list of sources; `origin` records
+  // which source each reached protein was first reached from.
   bfs(start, destination = null) {
-    const queue = [start];
-    const visited = new Set([start]);
-    const levels = { [start]: 0 };
-    const parent = { [start]: null };
+    const sources = [].concat(start);
+    const queue = new Queue(sources);
+    const visited = new Set(sources);
+    const levels = {};
+    const parent = {};
+    const origin = {};
+    sources.forEach((s) => {
+      levels[s] = 0;
+      parent[s] = null;
+      origin[s] = s;
+    });
 
     while (queue.length > 0) {
       const current = queue.shift();
@@ -42,6 +339,7 @@ export class Graph {
           visited.add(neighbor.node);
           parent[neighbor.node] = current;
           levels[neighbor.node] = levels[current] + 1;
+          origin[neighbor.node] = origin[current];
           queue.push(neighbor.node);
         }
       }
@@ -54,79 +352,316 @@ export class Graph {
         path.unshift(curr);
         curr = parent[curr] ?? null;
       }
-      if (path[0] !== start) path = [];
+      if (!sources.includes(path[0])) path = [];
     } else {
       path = Array.from(visited);
     }
 
-    return { path, levels };
+    return { path, levels, origin };
   }
 
   // ---------------- Dijkstra ----------------
-  dijkstra(start, destination) {
-    const distances = {};
-    const prev = {};
-    const pq = new Map();
+  // `start` may be a list of sources; `sourceCosts` gives each source a
+  // starting distance (e.g. the cost of a weak drug–target affinity). Of
+  // equally distant proteins, the one listed last is settled first.
+  dijkstra(
+    start,
+    destination,
+    costModel = "confidence",
+    {
+      excludedNodes = new Set(),
+      excludedEdges = new Set(),
+      sourceCosts = {},
+      index = this.index(),
+    } = {}
+  ) {
+    const { names, ids } = index;
+    const goal = ids.get(destination);
+    if (goal === undefined) return [];
 
-    for (let vertex in this.adjacencyList) {
-      distances[vertex] = Infinity;
-      prev[vertex] = null;
-      pq.set(vertex, Infinity);
+    const excluded = new Uint8Array(names.length);
+    excludedNodes.forEach((v) => ids.has(v) && (excluded[ids.get(v)] = 1));
+    const { distances, prev } = dijkstraSearch(
+      index,
+      start,
+      edgeCosts(index, costModel),
+      { goal, excluded, excludedEdges, sourceCosts }
+    );
+    if (distances[goal] === Infinity) return [];
+    return tracePath(names, prev, goal);
+  }
+
+  // The cheapest path from `start` to every protein it reaches, as
+  // { protein: path }: one Dijkstra run instead of one per destination.
+  shortestPaths(
+    start,
+    costModel = "confidence",
+    { sourceCosts = {}, index = this.index() } = {}
+  ) {
+    const { names } = index;
+    const { distances, prev } = dijkstraSearch(
+      index,
+      start,
+      edgeCosts(index, costModel),
+      { sourceCosts }
+    );
+    const paths = {};
+    names.forEach((protein, i) => {
+      if (distances[i] < Infinity) paths[protein] = tracePath(names, prev, i);
+    });
+    return paths;
+  }
+
+  // Per-edge breakdown of a path under a cost model; confidence is the
+  // product of the edge confidences along the path.
+  pathScore(path, costModel = "confidence") {
+    const edges = [];
+    for (let i = 0; i < path.length - 1; i++) {
+      const edge = this.getEdge(path[i], path[i + 1]);
+      if (!edge) {
+        throw new Error(`No interaction from ${path[i]} to ${path[i + 1]}`);
+      }
+      edges.push({
+        source: path[i],
+        target: path[i + 1],
+        weight: edge.weight,
+        cost: edgeCost(edge.weight, costModel),
+      });
     }
-    distances[start] = 0;
-    pq.set(start, 0);
 
-    while (pq.size > 0) {
-      let current = [...pq.entries()].reduce((a, b) =>
-        a[1] < b[1] ? a : b
-      )[0];
-      let dist = pq.get(current);
-      pq.delete(current);
+    return {
+      edges,
+      cost: edges.reduce((sum, e) => sum + e.cost, 0),
+      confidence: edges.reduce((prod, e) => prod * toConfidence(e.weight), 1),
+    };
+  }
 
-      if (current === destination) break;
+  // ---------------- K Shortest Paths (Yen) ----------------
+  kShortestPaths(start, destination, k = 3, costModel = "confidence") {
+    const index = this.index();
+    const first = this.dijkstra(start, destination, costModel, { index });
+    if (first.length === 0) return [];
 
-      for (let neighbor of this.adjacencyList[current]) {
-        let alt = dist + neighbor.weight;
-        if (alt < distances[neighbor.node]) {
-          distances[neighbor.node] = alt;
-          prev[neighbor.node] = current;
-          pq.set(neighbor.node, alt);
-        }
+    const ranked = [{ path: first, ...this.pathScore(first, costModel) }];
+    // Candidates cheapest first, equal costs in the order they were found
+    const candidates = new PriorityQueue();
+    let found = 0;
+    const seen = new Set([first.join("->")]);
+
+    while (ranked.length < k) {
+      const previous = ranked[ranked.length - 1].path;
+
+      for (let i = 0; i < previous.length - 1; i++) {
+        const spurNode = previous[i];
+        const rootPath = previous.slice(0, i + 1);
+        const excludedEdges = new Set();
+        const excludedNodes = new Set(rootPath.slice(0, -1));
+
+        ranked.forEach(({ path }) => {
+          if (path.slice(0, i + 1).join("->") === rootPath.join("->")) {
+            excludedEdges.add(`${path[i]}->${path[i + 1]}`);
+          }
+        });
+
+        const spurPath = this.dijkstra(spurNode, destination, costModel, {
+          excludedNodes,
+          excludedEdges,
+          index,
+        });
+        if (spurPath.length === 0) continue;
+
+        const path = rootPath.slice(0, -1).concat(spurPath);
+        const key = path.join("->");
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const score = this.pathScore(path, costModel);
+        candidates.push({ path, ...score }, score.cost, found++);
       }
-    }
 
-    const path = [];
-    let curr = destination;
-    while (curr !== null) {
-      path.unshift(curr);
-      curr = prev[curr];
+      if (candidates.length === 0) break;
+      ranked.push(candidates.pop().item);
     }
-    if (path[0] !== start) return [];
-    return path;
+
+    return ranked;
   }
 
   // ---------------- Topological Sort ----------------
+  // Kahn's algorithm; returns null when the network has a cycle, since no
+  // true topological order exists then (see condensation()).
   topologicalSort() {
-    const visited = new Set();
+    const indeg = {};
+    Object.keys(this.adjacencyList).forEach((v) => (indeg[v] = 0));
+    for (let u in this.adjacencyList) {
+      this.adjacencyList[u].forEach((edge) => indeg[edge.node]++);
+    }
+
+    const queue = new Queue(Object.keys(indeg).filter((v) => indeg[v] === 0));
+    const order = [];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      order.push(current);
+      for (let neighbor of this.adjacencyList[current]) {
+        if (--indeg[neighbor.node] === 0) queue.push(neighbor.node);
+      }
+    }
+
+    return order.length === Object.keys(this.adjacencyList).length
+      ? order
+      : null;
+  }
+
+  // ---------------- Strongly Connected Components (Tarjan) ----------------
+  stronglyConnectedComponents() {
+    let index = 0;
+    const indices = {};
+    const lowlink = {};
+    const onStack = new Set();
     const stack = [];
+    const components = [];
 
-    const dfs = (node) => {
-      visited.add(node);
-      for (let neighbor of this.adjacencyList[node]) {
-        if (!visited.has(neighbor.node)) {
-          dfs(neighbor.node);
+    const open = (v) => {
+      indices[v] = lowlink[v] = index++;
+      stack.push(v);
+      onStack.add(v);
+    };
+
+    // Depth-first with an explicit stack of [protein, next edge], since
+    // recursion overflows the call stack on proteome-sized networks
+    for (let vertex in this.adjacencyList) {
+      if (indices[vertex] !== undefined) continue;
+      open(vertex);
+      const work = [[vertex, 0]];
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const v = frame[0];
+        const edges = this.adjacencyList[v];
+        if (frame[1] < edges.length) {
+          const w = edges[frame[1]++].node;
+          if (indices[w] === undefined) {
+            open(w);
+            work.push([w, 0]);
+          } else if (onStack.has(w)) {
+            lowlink[v] = Math.min(lowlink[v], indices[w]);
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1][0];
+          lowlink[parent] = Math.min(lowlink[parent], lowlink[v]);
+        }
+        if (lowlink[v] === indices[v]) {
+          const component = [];
+          let w;
+          do {
+            w = stack.pop();
+            onStack.delete(w);
+            component.push(w);
+          } while (w !== v);
+          components.push(component);
         }
       }
-      stack.push(node);
+    }
+
+    return components;
+  }
+
+  // Collapses every SCC to a single node. The resulting DAG always has a
+  // topological order, listed in `order` as component indices.
+  condensation() {
+    const components = this.stronglyConnectedComponents();
+    const componentOf = {};
+    components.forEach((members, i) =>
+      members.forEach((v) => (componentOf[v] = i))
+    );
+
+    const dag = components.map(() => new Set());
+    for (let u in this.adjacencyList) {
+      this.adjacencyList[u].forEach(({ node: v }) => {
+        if (componentOf[u] !== componentOf[v]) {
+          dag[componentOf[u]].add(componentOf[v]);
+        }
+      });
+    }
+
+    const indeg = components.map(() => 0);
+    dag.forEach((targets) => targets.forEach((c) => indeg[c]++));
+    const queue = new Queue(indeg.flatMap((d, c) => (d === 0 ? [c] : [])));
+    const order = [];
+    while (queue.length > 0) {
+      const c = queue.shift();
+      order.push(c);
+      dag[c].forEach((next) => {
+        if (--indeg[next] === 0) queue.push(next);
+      });
+    }
+
+    return {
+      components,
+      componentOf,
+      dag: dag.map((targets) => [...targets]),
+      order,
+      acyclic: components.every((members) => members.length === 1),
     };
+  }
 
-    for (let vertex in this.adjacencyList) {
-      if (!visited.has(vertex)) {
-        dfs(vertex);
+  // Shortest directed cycle through `start`, staying inside `within` (e.g.
+  // its SCC). Returns [] when `start` lies on no cycle.
+  shortestCycle(start, within = null) {
+    const parent = { [start]: null };
+    const queue = new Queue([start]);
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (let { node } of this.adjacencyList[current]) {
+        if (within && !within.has(node)) continue;
+        if (node === start) {
+          const cycle = [start];
+          let v = current;
+          while (v !== start) {
+            cycle.splice(1, 0, v);
+            v = parent[v];
+          }
+          return [...cycle, start];
+        }
+        if (!(node in parent)) {
+          parent[node] = current;
+          queue.push(node);
+        }
       }
     }
 
-    return stack.reverse();
+    return [];
+  }
+
+  // One shortest feedback loop per protein in each non-trivial SCC, with
+  // rotations of the same loop reported once. Each search is a BFS over the
+  // component, so at most `limit` loops are collected per component;
+  // `truncated` marks components that have more.
+  feedbackLoops({ limit = 25 } = {}) {
+    return this.stronglyConnectedComponents()
+      .filter((members) => members.length > 1)
+      .map((members) => {
+        const within = new Set(members);
+        const seen = new Set();
+        const loops = [];
+        let truncated = false;
+        for (const v of members) {
+          const cycle = this.shortestCycle(v, within);
+          const ring = cycle.slice(0, -1);
+          const first = ring.indexOf([...ring].sort()[0]);
+          const key = [...ring.slice(first), ...ring.slice(0, first)].join(",");
+          if (cycle.length === 0 || seen.has(key)) continue;
+          if (loops.length === limit) {
+            truncated = true;
+            break;
+          }
+          seen.add(key);
+          loops.push(cycle);
+        }
+        return { members, loops, truncated };
+      });
   }
 
   // ---------------- Degree Sequences ----------------
@@ -146,108 +681,856 @@ export class Graph {
     }
     return Object.values(indeg);
   }
-  allPaths(start, end) {
-    const results = [];
-    const visited = new Set();
-
-    const dfs = (node, path) => {
-        visited.add(node);
-        path.push(node);
-
-        if (node === end) {
-            results.push([...path]);
-        } else {
-            for (let neighbor of this.adjacencyList[node] || []) {
-                if (!visited.has(neighbor.node)) {
-                    dfs(neighbor.node, path);
-                }
-            }
-        }
-
-        path.pop();
-        visited.delete(node);
-    };
-
-    dfs(start, []);
-    return results;
-}
   // ---------------- Directed Havel–Hakimi Validation ----------------
   isValidDigraph() {
+    return this.validateDigraph().valid;
+  }
+
+  // Same checks as isValidDigraph, but reports which rule failed and the
+  // degrees or nodes responsible.
+  validateDigraph() {
+    const nodes = Object.keys(this.adjacencyList);
     const outDeg = this.getOutDegrees();
     const inDeg = this.getInDegrees();
     const n = outDeg.length;
+    const fail = (rule, message, details) => ({
+      valid: false,
+      rule,
+      message,
+      details,
+    });
 
     // 1. Total balance
-    if (outDeg.reduce((a, b) => a + b, 0) !== inDeg.reduce((a, b) => a + b, 0))
-      return false;
+    const outSum = outDeg.reduce((a, b) => a + b, 0);
+    const inSum = inDeg.reduce((a, b) => a + b, 0);
+    if (outSum !== inSum)
+      return fail(
+        "balance",
+        `Out-degrees sum to ${outSum} but in-degrees sum to ${inSum}.`,
+        { outSum, inSum }
+      );
 
     // 2. Bounds
-    if (
-      outDeg.some((d) => d < 0 || d >= n) ||
-      inDeg.some((d) => d < 0 || d >= n)
-    )
-      return false;
+    const outOfBounds = nodes
+      .map((node, i) => ({ node, outDegree: outDeg[i], inDegree: inDeg[i] }))
+      .filter(
+        ({ outDegree, inDegree }) =>
+          outDegree < 0 || outDegree >= n || inDegree < 0 || inDegree >= n
+      );
+    if (outOfBounds.length > 0)
+      return fail(
+        "bounds",
+        `${outOfBounds
+          .map((d) => `${d.node} (out ${d.outDegree}, in ${d.inDegree})`)
+          .join(", ")} must have degrees between 0 and ${n - 1}.`,
+        { n, nodes: outOfBounds }
+      );
 
     // 3. Majorization
-    let outSorted = [...outDeg].sort((a, b) => b - a);
+    const outSorted = nodes
+      .map((node, i) => ({ node, degree: outDeg[i] }))
+      .sort((a, b) => b.degree - a.degree);
     for (let k = 1; k <= n; k++) {
-      const lhs = outSorted.slice(0, k).reduce((a, b) => a + b, 0);
+      const lhs = outSorted.slice(0, k).reduce((a, b) => a + b.degree, 0);
       const rhs = inDeg.reduce((a, b) => a + Math.min(k, b), 0);
-      if (lhs > rhs) return false;
+      if (lhs > rhs)
+        return fail(
+          "majorization",
+          `At k = ${k}, the ${k} largest out-degrees sum to ${lhs}, more than Σ min(${k}, in-degree) = ${rhs}.`,
+          { k, lhs, rhs, nodes: outSorted.slice(0, k).map((d) => d.node) }
+        );
     }
 
-    return true;
+    return {
+      valid: true,
+      rule: null,
+      message: "Degree sequences satisfy balance, bounds and majorization.",
+      details: { n, edges: outSum },
+    };
   }
-  betweennessCentralityDirected() {
-    const nodes = Object.keys(this.adjacencyList);
-    const BC = {};
-    nodes.forEach((n) => (BC[n] = 0));
-
-    nodes.forEach((s) => {
-      const stack = [];
-      const pred = {};
-      const sigma = {};
-      const dist = {};
-      const queue = [];
 
-      nodes.forEach((v) => {
-        pred[v] = [];
-        sigma[v] = 0;
-        dist[v] = -1;
+  // ---------------- Weak Components ----------------
+  // Connected components when edge direction is ignored
+  weakComponents() {
+    const nodes = Object.keys(this.adjacencyList);
+    const undirected = {};
+    nodes.forEach((v) => (undirected[v] = new Set()));
+    for (let u in this.adjacencyList) {
+      this.adjacencyList[u].forEach(({ node }) => {
+        undirected[u].add(node);
+        undirected[node].add(u);
       });
-      sigma[s] = 1;
-      dist[s] = 0;
-      queue.push(s);
+    }
 
+    const seen = new Set();
+    const components = [];
+    nodes.forEach((start) => {
+      if (seen.has(start)) return;
+      const component = [];
+      const queue = new Queue([start]);
+      seen.add(start);
       while (queue.length > 0) {
         const v = queue.shift();
-        stack.push(v);
-
-        this.adjacencyList[v].forEach(({ node: w }) => {
-          // FOLLOW EDGE DIRECTION
-          if (dist[w] < 0) {
-            dist[w] = dist[v] + 1;
+        component.push(v);
+        undirected[v].forEach((w) => {
+          if (!seen.has(w)) {
+            seen.add(w);
             queue.push(w);
           }
-          if (dist[w] === dist[v] + 1) {
-            sigma[w] += sigma[v];
-            pred[w].push(v);
+        });
+      }
+      components.push(component);
+    });
+    return components;
+  }
+
+  // ---------------- Structural Diagnostics ----------------
+  diagnostics() {
+    const nodes = Object.keys(this.adjacencyList);
+    const n = nodes.length;
+    const outDeg = this.getOutDegrees();
+    const inDeg = this.getInDegrees();
+    const m = outDeg.reduce((a, b) => a + b, 0);
+
+    let reciprocal = 0;
+    for (let u in this.adjacencyList) {
+      this.adjacencyList[u].forEach(({ node }) => {
+        if (this.getEdge(node, u)) reciprocal++;
+      });
+    }
+
+    const weakComponents = this.weakComponents();
+    const strongComponents = this.stronglyConnectedComponents();
+    const distribution = (degrees) =>
+      degrees.reduce((counts, d) => {
+        counts[d] = (counts[d] || 0) + 1;
+        return counts;
+      }, {});
+
+    return {
+      nodes: n,
+      edges: m,
+      density: n > 1 ? m / (n * (n - 1)) : 0,
+      reciprocity: m > 0 ? reciprocal / m : 0,
+      weakComponents: weakComponents.length,
+      weaklyConnected: weakComponents.length <= 1,
+      largestWeakComponent: Math.max(0, ...weakComponents.map((c) => c.length)),
+      strongComponents: strongComponents.length,
+      stronglyConnected: strongComponents.length <= 1,
+      largestStrongComponent: Math.max(
+        0,
+        ...strongComponents.map((c) => c.length)
+      ),
+      outDegreeDistribution: distribution(outDeg),
+      inDegreeDistribution: distribution(inDeg),
+    };
+  }
+
+  // ---------------- Shortest-Path DAG ----------------
+  // Distances, shortest-path counts and predecessors from `source`, plus the
+  // order in which vertices were settled (BFS for hops, Dijkstra otherwise).
+  shortestPathDag(source, costModel = "hops", index = this.index()) {
+    const { names, ids } = index;
+    if (!ids.has(source)) {
+      throw new Error(`Invalid vertex: ${source} is not in the network.`);
+    }
+    const { dist, sigma, pred, order } = pathDag(
+      index,
+      ids.get(source),
+      dagCosts(index, costModel)
+    );
+    const byName = (values) =>
+      Object.fromEntries(names.map((v, i) => [v, values[i]]));
+    return {
+      dist: byName(dist),
+      sigma: byName(sigma),
+      pred: byName(pred.map((p) => p.map((i) => names[i]))),
+      order: order.map((i) => names[i]),
+    };
+  }
+
+  // ---------------- Centrality Measures ----------------
+  // With `weighted`, degree becomes strength (sum of confidences).
+  degreeCentrality({ direction = "out", weighted = false } = {}) {
+    const scores = {};
+    Object.keys(this.adjacencyList).forEach((v) => (scores[v] = 0));
+    for (let u in this.adjacencyList) {
+      this.adjacencyList[u].forEach(({ node, weight }) => {
+        const amount = weighted ? toConfidence(weight) : 1;
+        if (direction === "out") scores[u] += amount;
+        else scores[node] += amount;
+      });
+    }
+    return scores;
+  }
+
+  // Wasserman–Faust closeness, which stays meaningful when not every
+  // protein is reachable: (r / (n − 1)) · (r / Σ d) over the r reached.
+  // `onProgress(done, total)` is called after each protein's distances.
+  closenessCentrality(costModel = "hops", { onProgress } = {}) {
+    const index = this.index();
+    const costs = dagCosts(index, costModel);
+    const n = index.names.length;
+    const scores = {};
+    index.names.forEach((v, i) => {
+      const { dist } = pathDag(index, i, costs);
+      let reached = 0;
+      let total = 0;
+      dist.forEach((d, u) => {
+        if (u !== i && d < Infinity) {
+          reached++;
+          total += d;
+        }
+      });
+      scores[v] =
+        reached > 0 && total > 0 ? (reached / (n - 1)) * (reached / total) : 0;
+      if (onProgress) onProgress(i + 1, n);
+    });
+    return scores;
+  }
+
+  harmonicCentrality(costModel = "hops", { onProgress } = {}) {
+    const index = this.index();
+    const costs = dagCosts(index, costModel);
+    const scores = {};
+    index.names.forEach((v, i) => {
+      const { dist } = pathDag(index, i, costs);
+      scores[v] = dist.reduce(
+        (sum, d, u) => (u !== i && d > 0 && d < Infinity ? sum + 1 / d : sum),
+        0
+      );
+      if (onProgress) onProgress(i + 1, index.names.length);
+    });
+    return scores;
+  }
+
+  // Power iteration on incoming links; the identity shift keeps it
+  // converging on directed networks.
+  eigenvectorCentrality({
+    weighted = false,
+    iterations = 100,
+    tolerance = 1e-6,
+  } = {}) {
+    const nodes = Object.keys(this.adjacencyList);
+    let x = {};
+    nodes.forEach((v) => (x[v] = 1 / nodes.length));
+
+    for (let i = 0; i < iterations; i++) {
+      const next = { ...x };
+      for (let u in this.adjacencyList) {
+        this.adjacencyList[u].forEach(({ node, weight }) => {
+          next[node] += x[u] * (weighted ? toConfidence(weight) : 1);
+        });
+      }
+      const norm = Math.sqrt(nodes.reduce((s, v) => s + next[v] ** 2, 0)) || 1;
+      nodes.forEach((v) => (next[v] /= norm));
+      const change = nodes.reduce((s, v) => s + Math.abs(next[v] - x[v]), 0);
+      x = next;
+      if (change < nodes.length * tolerance) break;
+    }
+    return x;
+  }
+
+  // `personalization` maps proteins to restart weights; leaving it out gives
+  // classic PageRank, setting it gives a random walk with restart.
+  pageRank({
+    damping = 0.85,
+    weighted = false,
+    personalization = null,
+    iterations = 100,
+    tolerance = 1e-8,
+  } = {}) {
+    const nodes = Object.keys(this.adjacencyList);
+    const restart = {};
+    const restartTotal = personalization
+      ? Object.values(personalization).reduce((a, b) => a + b, 0)
+      : nodes.length;
+    nodes.forEach(
+      (v) =>
+        (restart[v] = personalization
+          ? (personalization[v] || 0) / restartTotal
+          : 1 / nodes.length)
+    );
+
+    const edgeWeight = (weight) => (weighted ? toConfidence(weight) : 1);
+    const outWeight = {};
+    nodes.forEach(
+      (u) =>
+        (outWeight[u] = this.adjacencyList[u].reduce(
+          (sum, e) => sum + edgeWeight(e.weight),
+          0
+        ))
+    );
+
+    let rank = { ...restart };
+    for (let i = 0; i < iterations; i++) {
+      const dangling = nodes.reduce(
+        (sum, u) => (outWeight[u] === 0 ? sum + rank[u] : sum),
+        0
+      );
+      const next = {};
+      nodes.forEach(
+        (v) => (next[v] = (1 - damping + damping * dangling) * restart[v])
+      );
+      nodes.forEach((u) => {
+        if (outWeight[u] === 0) return;
+        this.adjacencyList[u].forEach(({ node, weight }) => {
+          next[node] += (damping * rank[u] * edgeWeight(weight)) / outWeight[u];
+        });
+      });
+      const change = nodes.reduce((s, v) => s + Math.abs(next[v] - rank[v]), 0);
+      rank = next;
+      if (change < tolerance) break;
+    }
+    return rank;
+  }
+
+  // ---------------- Robustness Sweep ----------------
+  // Knocks out proteins one at a time, in descending betweenness (computed
+  // once on the intact network) or random order, and records after each
+  // removal how well `sources` still reach `destination` and the size of
+  // the largest weak component. Sources and destination are never removed.
+  // `onProgress` is told about the betweenness ranking, then the removals.
+  robustnessSweep(
+    sources,
+    destination,
+    {
+      order = "betweenness",
+      maxSteps = Infinity,
+      random = Math.random,
+      onProgress,
+    } = {}
+  ) {
+    sources = [].concat(sources);
+    const protectedNodes = new Set([...sources, destination]);
+    let candidates = Object.keys(this.adjacencyList).filter(
+      (v) => !protectedNodes.has(v)
+    );
+
+    if (order === "betweenness") {
+      const BC = this.betweennessCentralityDirected(undefined, "hops", {
+        onProgress,
+      });
+      candidates.sort((a, b) => BC[b] - BC[a]);
+    } else {
+      for (let i = candidates.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+      }
+    }
+    candidates = candidates.slice(0, maxSteps);
+
+    const total = Object.keys(this.adjacencyList).length;
+    const network = this.clone();
+    const measure = (removed) => {
+      const path = network.dijkstra(sources, destination, "confidence");
+      return {
+        removed,
+        fractionRemoved: total ? removed.length / total : 0,
+        connected: path.length > 0,
+        pathConfidence:
+          path.length > 0 ? network.pathScore(path).confidence : 0,
+        largestComponent:
+          Math.max(0, ...network.weakComponents().map((c) => c.length)) / total,
+      };
+    };
+
+    const steps = [measure([])];
+    candidates.forEach((v, i) => {
+      network.removeVertex(v);
+      steps.push(measure(candidates.slice(0, i + 1)));
+      if (onProgress) onProgress(i + 1, candidates.length);
+    });
+    return steps;
+  }
+
+  // ---------------- Max Flow / Min Cut (Edmonds–Karp) ----------------
+  // Each interaction's capacity is its confidence unless `capacity` maps
+  // weights otherwise; () => 1 counts edge-disjoint paths. Several sources
+  // share a virtual super-source. The minimum cut is the set of interactions
+  // leaving the part of the network still reachable in the final residual
+  // graph.
+  maxFlow(sources, sink, { capacity = toConfidence } = {}) {
+    sources = [].concat(sources);
+    if (sources.includes(sink)) {
+      throw new Error("Sink must differ from the sources.");
+    }
+    const superSource = Symbol("source");
+    const residual = new Map();
+    const arc = (u, v) => {
+      if (!residual.has(u)) residual.set(u, new Map());
+      if (!residual.has(v)) residual.set(v, new Map());
+      if (!residual.get(v).has(u)) residual.get(v).set(u, 0);
+      return residual.get(u);
+    };
+    for (const u in this.adjacencyList) {
+      this.adjacencyList[u].forEach(({ node, weight }) => {
+        const out = arc(u, node);
+        out.set(node, (out.get(node) || 0) + capacity(weight));
+      });
+    }
+    sources
+      .filter((s) => this.adjacencyList[s])
+      .forEach((s) => arc(superSource, s).set(s, Infinity));
+
+    const epsilon = 1e-12;
+    const reachableFromSource = () => {
+      const parent = new Map([[superSource, null]]);
+      const queue = new Queue([superSource]);
+      while (queue.length) {
+        const u = queue.shift();
+        for (const [v, capacity] of residual.get(u) || []) {
+          if (capacity > epsilon && !parent.has(v)) {
+            parent.set(v, u);
+            queue.push(v);
+          }
+        }
+      }
+      return parent;
+    };
+
+    let value = 0;
+    let parent = reachableFromSource();
+    while (parent.has(sink)) {
+      let bottleneck = Infinity;
+      for (let v = sink; parent.get(v) !== null; v = parent.get(v)) {
+        bottleneck = Math.min(bottleneck, residual.get(parent.get(v)).get(v));
+      }
+      for (let v = sink; parent.get(v) !== null; v = parent.get(v)) {
+        const u = parent.get(v);
+        residual.get(u).set(v, residual.get(u).get(v) - bottleneck);
+        residual.get(v).set(u, residual.get(v).get(u) + bottleneck);
+      }
+      value += bottleneck;
+      parent = reachableFromSource();
+    }
+
+    const sourceSide = new Set(parent.keys());
+    sourceSide.delete(superSource);
+    const flows = [];
+    const cut = [];
+    for (const u in this.adjacencyList) {
+      this.adjacencyList[u].forEach(({ node, weight }) => {
+        const flow = Math.max(0, capacity(weight) - residual.get(u).get(node));
+        if (flow > epsilon) flows.push({ source: u, target: node, flow });
+        if (sourceSide.has(u) && !sourceSide.has(node)) {
+          cut.push({ source: u, target: node, weight });
+        }
+      });
+    }
+    return { value, flows, cut, sourceSide: [...sourceSide] };
+  }
+
+  // ---------------- Dominator Tree (Cooper–Harvey–Kennedy) ----------------
+  // Protein d dominates v when every path from `start` to v passes through
+  // d. Returns each reachable protein's immediate dominator (null when no
+  // single protein dominates it, e.g. the start proteins) and the resulting
+  // tree as parent → children lists.
+  dominatorTree(start) {
+    const roots = [].concat(start).filter((s) => this.adjacencyList[s]);
+    const postorder = [];
+    const visited = new Set();
+    // Iterative depth-first search over [protein, next edge] frames
+    roots.forEach((r) => {
+      if (visited.has(r)) return;
+      visited.add(r);
+      const work = [[r, 0]];
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const edges = this.adjacencyList[frame[0]];
+        if (frame[1] < edges.length) {
+          const { node } = edges[frame[1]++];
+          if (!visited.has(node)) {
+            visited.add(node);
+            work.push([node, 0]);
+          }
+        } else {
+          postorder.push(frame[0]);
+          work.pop();
+        }
+      }
+    });
+
+    // Index 0 is a virtual root above all start proteins; the rest follow
+    // reverse postorder so dominators always have smaller indices
+    const order = postorder.reverse();
+    const index = new Map(order.map((v, i) => [v, i + 1]));
+    const preds = [[], ...order.map((v) => (roots.includes(v) ? [0] : []))];
+    order.forEach((u) =>
+      this.adjacencyList[u].forEach(({ node }) =>
+        preds[index.get(node)].push(index.get(u))
+      )
+    );
+
+    const doms = [0, ...order.map(() => -1)];
+    const intersect = (a, b) => {
+      while (a !== b) {
+        while (a > b) a = doms[a];
+        while (b > a) b = doms[b];
+      }
+      return a;
+    };
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (let i = 1; i < doms.length; i++) {
+        const processed = preds[i].filter((p) => doms[p] !== -1);
+        const idom = processed.reduce(intersect);
+        if (doms[i] !== idom) {
+          doms[i] = idom;
+          changed = true;
+        }
+      }
+    }
+
+    const idom = {};
+    const children = {};
+    order.forEach((v, i) => {
+      const parent = doms[i + 1] === 0 ? null : order[doms[i + 1] - 1];
+      idom[v] = parent;
+      children[v] = [];
+      if (parent !== null) children[parent].push(v);
+    });
+    return { idom, children };
+  }
+
+  // Proteins every route from `start` to `destination` must pass through,
+  // nearest the start first, not counting the start proteins themselves.
+  chokepoints(start, destination) {
+    const { idom } = this.dominatorTree(start);
+    if (!(destination in idom)) return [];
+    const starts = [].concat(start);
+    const chain = [];
+    for (let v = idom[destination]; v !== null; v = idom[v]) {
+      if (!starts.includes(v)) chain.push(v);
+    }
+    return chain.reverse();
+  }
+
+  // ---------------- Steiner Tree (Takahashi–Matsuyama) ----------------
+  // Approximates the cheapest subnetwork linking all `terminals`, ignoring
+  // interaction direction: starting from the first terminal, the nearest
+  // unconnected terminal is joined to the tree by a shortest path until none
+  // are left. Edges keep their original direction; terminals that cannot be
+  // linked are listed in `unreachable`.
+  steinerTree(terminals, costModel = "confidence") {
+    const cost = (weight) => edgeCost(weight, costModel);
+    const undirected = new Graph();
+    for (const u in this.adjacencyList) {
+      undirected.addVertex(u);
+      this.adjacencyList[u].forEach(({ node, weight }) => {
+        [
+          [u, node],
+          [node, u],
+        ].forEach(([a, b]) => {
+          const existing = undirected.getEdge(a, b);
+          if (!existing) undirected.addEdge(a, b, weight);
+          else if (cost(weight) < cost(existing.weight))
+            existing.weight = weight;
+        });
+      });
+    }
+
+    const [first, ...rest] = [...new Set(terminals)].filter(
+      (t) => this.adjacencyList[t]
+    );
+    const tree = new Set(first === undefined ? [] : [first]);
+    const edges = new Map();
+    let remaining = rest.filter((t) => t !== first);
+    const unreachable = [...new Set(terminals)].filter(
+      (t) => !this.adjacencyList[t]
+    );
+
+    while (remaining.length > 0) {
+      const nearest = remaining
+        .map((t) => {
+          const path = undirected.dijkstra([...tree], t, costModel);
+          return {
+            terminal: t,
+            path,
+            cost: path.length ? undirected.pathScore(path, costModel).cost : 0,
+          };
+        })
+        .filter(({ path }) => path.length > 0)
+        .sort((a, b) => a.cost - b.cost)[0];
+      if (!nearest) {
+        unreachable.push(...remaining);
+        break;
+      }
+
+      const { path } = nearest;
+      for (let i = 0; i < path.length - 1; i++) {
+        const [a, b] = [path[i], path[i + 1]];
+        const forward = this.getEdge(a, b);
+        const backward = this.getEdge(b, a);
+        const [source, target, edge] =
+          forward &&
+          (!backward || cost(forward.weight) <= cost(backward.weight))
+            ? [a, b, forward]
+            : [b, a, backward];
+        edges.set(`${source}->${target}`, {
+          source,
+          target,
+          weight: edge.weight,
+        });
+      }
+      path.forEach((v) => tree.add(v));
+      remaining = remaining.filter((t) => !tree.has(t));
+    }
+
+    const treeEdges = [...edges.values()];
+    return {
+      nodes: [...tree],
+      edges: treeEdges,
+      connectors: [...tree].filter((v) => !terminals.includes(v)),
+      unreachable,
+      cost: treeEdges.reduce((sum, e) => sum + cost(e.weight), 0),
+      confidence: treeEdges.reduce(
+        (prod, e) => prod * toConfidence(e.weight),
+        1
+      ),
+    };
+  }
+
+  // ---------------- Community Detection (Louvain) ----------------
+  // Greedy modularity optimisation on the undirected view of the network,
+  // where interactions in both directions add their confidences. Proteins
+  // move to the neighbouring module with the best modularity gain until none
+  // improves, then each module collapses into a single node and the process
+  // repeats. Returns the modules largest first, each protein's module index
+  // and the final modularity.
+  communities({ resolution = 1 } = {}) {
+    const names = Object.keys(this.adjacencyList);
+    const index = new Map(names.map((v, i) => [v, i]));
+    let adjacency = names.map(() => new Map());
+    for (const u in this.adjacencyList) {
+      this.adjacencyList[u].forEach(({ node, weight }) => {
+        const [a, b] = [index.get(u), index.get(node)];
+        const w = toConfidence(weight);
+        adjacency[a].set(b, (adjacency[a].get(b) || 0) + w);
+        adjacency[b].set(a, (adjacency[b].get(a) || 0) + w);
+      });
+    }
+    const strength = (adj) =>
+      adj.map((links) => [...links.values()].reduce((sum, w) => sum + w, 0));
+    const original = adjacency;
+    const m2 = strength(adjacency).reduce((sum, k) => sum + k, 0);
+    let membership = names.map((_, i) => i);
+
+    while (m2 > 0) {
+      const k = strength(adjacency);
+      const community = adjacency.map((_, i) => i);
+      const total = [...k];
+      let moved = false;
+      let improved = true;
+
+      while (improved) {
+        improved = false;
+        adjacency.forEach((links, i) => {
+          const linkTo = new Map();
+          links.forEach((w, j) => {
+            if (j !== i)
+              linkTo.set(community[j], (linkTo.get(community[j]) || 0) + w);
+          });
+          const own = community[i];
+          total[own] -= k[i];
+          const gain = (c) =>
+            (linkTo.get(c) || 0) - (resolution * total[c] * k[i]) / m2;
+          let best = own;
+          let bestGain = gain(own);
+          linkTo.forEach((_, c) => {
+            if (gain(c) > bestGain + 1e-12) {
+              best = c;
+              bestGain = gain(c);
+            }
+          });
+          total[best] += k[i];
+          if (best !== own) {
+            community[i] = best;
+            improved = moved = true;
           }
         });
       }
+      if (!moved) break;
 
-      const delta = {};
-      nodes.forEach((v) => (delta[v] = 0));
+      // Collapse each module into one node, keeping internal links as a
+      // self-loop so node strengths are preserved
+      const renumber = new Map();
+      community.forEach((c) => {
+        if (!renumber.has(c)) renumber.set(c, renumber.size);
+      });
+      const collapsed = [...renumber.keys()].map(() => new Map());
+      adjacency.forEach((links, i) =>
+        links.forEach((w, j) => {
+          const [a, b] = [
+            renumber.get(community[i]),
+            renumber.get(community[j]),
+          ];
+          collapsed[a].set(b, (collapsed[a].get(b) || 0) + w);
+        })
+      );
+      membership = membership.map((s) => renumber.get(community[s]));
+      adjacency = collapsed;
+    }
+
+    const grouped = {};
+    membership.forEach((c, i) =>
+      (grouped[c] = grouped[c] || []).push(names[i])
+    );
+    const modules = Object.values(grouped).sort((a, b) => b.length - a.length);
+    const moduleOf = {};
+    modules.forEach((members, i) => members.forEach((v) => (moduleOf[v] = i)));
+
+    let modularity = 0;
+    if (m2 > 0) {
+      const k = strength(original);
+      const totals = modules.map(() => 0);
+      original.forEach((links, i) => {
+        totals[moduleOf[names[i]]] += k[i];
+        links.forEach((w, j) => {
+          if (moduleOf[names[i]] === moduleOf[names[j]]) modularity += w / m2;
+        });
+      });
+      totals.forEach((t) => (modularity -= resolution * (t / m2) ** 2));
+    }
+    return { modules, moduleOf, modularity };
+  }
+
+  // ---------------- Signed Paths ----------------
+  // Net sign of a path: +1 when it activates its end, −1 when it inhibits it
+  // and 0 when any interaction along it is unsigned.
+  pathSign(path) {
+    let sign = 1;
+    for (let i = 0; i < path.length - 1; i++) {
+      const edge = this.getEdge(path[i], path[i + 1]);
+      sign *= edge ? effectSigns[edge.effect] || 0 : 0;
+    }
+    return sign || 0;
+  }
+
+  // Every sign with which each protein can be reached from `seeds` (protein →
+  // starting sign, e.g. −1 for an inhibited drug target), following any walk.
+  // A protein reachable with both +1 and −1 has no sign-consistent effect; 0
+  // marks routes through unsigned interactions.
+  signedReach(seeds) {
+    const reached = {};
+    const queue = new Queue();
+    const visit = (protein, sign) => {
+      if (!reached[protein]) reached[protein] = new Set();
+      if (reached[protein].has(sign)) return;
+      reached[protein].add(sign);
+      queue.push([protein, sign]);
+    };
+    Object.entries(seeds)
+      .filter(([protein]) => this.adjacencyList[protein])
+      .forEach(([protein, sign]) => visit(protein, sign));
+
+    while (queue.length > 0) {
+      const [current, sign] = queue.shift();
+      this.adjacencyList[current].forEach(({ node, effect }) =>
+        visit(node, sign * (effectSigns[effect] || 0) || 0)
+      );
+    }
+
+    return Object.fromEntries(
+      Object.entries(reached).map(([protein, signs]) => [
+        protein,
+        [...signs].sort((a, b) => b - a),
+      ])
+    );
+  }
+
+  // ---------------- Signal Propagation ----------------
+  // Spreads a perturbation from `seeds` (protein → starting activation, 0–1)
+  // one interaction per step. A protein passes its activation on once it
+  // reaches `threshold`; with `decay` the signal is scaled by each
+  // interaction's confidence. The "threshold" rule keeps the strongest
+  // incoming signal as a graded activation, the "boolean" rule switches a
+  // protein fully on when that signal reaches the threshold. Activation
+  // never falls, so the run stops early at a steady state. Returns one
+  // protein → activation frame per step, starting with the seeds.
+  simulatePropagation(
+    seeds,
+    { rule = "threshold", threshold = 0.2, decay = true, steps = 10 } = {}
+  ) {
+    if (!["threshold", "boolean"].includes(rule)) {
+      throw new Error(`Unknown update rule: ${rule}`);
+    }
+    const initial = {};
+    for (const v in this.adjacencyList) initial[v] = 0;
+    Object.entries(seeds)
+      .filter(([protein]) => protein in initial)
+      .forEach(([protein, activation]) => {
+        initial[protein] = rule === "boolean" ? 1 : toConfidence(activation);
+      });
+
+    const frames = [initial];
+    for (let t = 0; t < steps; t++) {
+      const current = frames[frames.length - 1];
+      const next = { ...current };
+      for (const u in this.adjacencyList) {
+        if (current[u] < threshold || current[u] === 0) continue;
+        this.adjacencyList[u].forEach(({ node, weight }) => {
+          const signal = current[u] * (decay ? toConfidence(weight) : 1);
+          if (rule === "boolean") {
+            if (signal >= threshold) next[node] = 1;
+          } else if (signal > next[node]) {
+            next[node] = signal;
+          }
+        });
+      }
+      if (Object.keys(next).every((v) => next[v] === current[v])) break;
+      frames.push(next);
+    }
+    return frames;
+  }
+
+  // ---------------- Random Walk with Restart ----------------
+  // Personalized PageRank: the walker jumps back to `seeds` (protein →
+  // weight, e.g. target affinities) with probability `restart` each step.
+  randomWalkWithRestart(seeds, { restart = 0.3, weighted = true } = {}) {
+    if (!(restart > 0 && restart <= 1)) {
+      throw new Error("Restart probability must be in (0, 1].");
+    }
+    return this.pageRank({
+      damping: 1 - restart,
+      weighted,
+      personalization: seeds,
+    });
+  }
+
+  // Restricting `sources` (e.g. to a drug's targets) scores each protein by
+  // how many shortest paths from those sources pass through it. A cost model
+  // other than hops gives weighted (Dijkstra-based) betweenness.
+  // `onProgress(done, total)` is called after each source.
+  betweennessCentralityDirected(
+    sources = Object.keys(this.adjacencyList),
+    costModel = "hops",
+    { onProgress } = {}
+  ) {
+    const index = this.index();
+    const costs = dagCosts(index, costModel);
+    const BC = new Float64Array(index.names.length);
+    const delta = new Float64Array(index.names.length);
+
+    sources.forEach((s, done) => {
+      const source = index.ids.get(s);
+      if (source === undefined) {
+        throw new Error(`Invalid vertex: ${s} is not in the network.`);
+      }
+      const { sigma, pred, order } = pathDag(index, source, costs);
+      delta.fill(0);
 
-      while (stack.length > 0) {
-        const w = stack.pop();
+      for (let i = order.length - 1; i >= 0; i--) {
+        const w = order[i];
         pred[w].forEach((v) => {
           delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
         });
-        if (w !== s) BC[w] += delta[w];
+        if (w !== source) BC[w] += delta[w];
       }
+      if (onProgress) onProgress(done + 1, sources.length);
     });
 
-    return BC;
+    return Object.fromEntries(index.names.map((v, i) => [v, BC[i]]));
   }
 }
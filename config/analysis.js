@@ -0,0 +1,783 @@
+// ---------------- Headless Analysis ----------------
+// The analyses behind the page, without the page: each takes a Graph and
+// plain options and returns plain data, so the same code serves the UI, the
+// dtf command line and any script importing it. Invalid input throws an
+// Error whose message is ready to show the user.
+import { costModels } from "./Graph.js";
+import {
+  getDrugTables,
+  getDrugTargets,
+  getDrugDestination,
+  targetSourceCosts,
+  targetSigns,
+} from "./drugs.js";
+
+// Fills `graph` from raw [source, target, confidence, effect?] rows,
+// reporting each rejected row to `onError` instead of stopping.
+export function loadInteractions(
+  graph,
+  interactions,
+  onError = (err) => console.warn(err.message)
+) {
+  graph.adjacencyList = {};
+  Object.values(interactions).forEach(
+    ([protein1, protein2, weight, effect]) => {
+      try {
+        graph.addEdge(protein1, protein2, weight, effect);
+      } catch (err) {
+        onError(err);
+      }
+    }
+  );
+  return graph;
+}
+
+// Where an analysis follows the signal to: `destination` is one protein, a
+// list of them, or "reachable" for every protein the sources reach. The
+// context keeps the list as `destinations` and the first as `destination`,
+// which is all the single-destination analyses look at.
+const withDestinations = (graph, context, destination) => {
+  const destinations =
+    destination === "reachable"
+      ? graph
+          .bfs(context.sources)
+          .path.filter((p) => !context.sources.includes(p))
+      : [...new Set([].concat(destination ?? []))];
+  return { ...context, destination: destinations[0], destinations };
+};
+
+// Throws unless every protein in `proteins` is in the network
+export function requireProteins(graph, proteins) {
+  const unknown = proteins.filter((p) => !graph.adjacencyList[p]);
+  if (unknown.length > 0)
+    throw new Error(`Not in the network: ${unknown.join(", ")}`);
+  return proteins;
+}
+
+// A drug's targets in the network, its destinations and the starting cost
+// of each target under `costModel`. `destination` overrides the drug's own.
+export function drugContext(
+  graph,
+  drug,
+  costModel = "confidence",
+  destination = getDrugDestination(drug)
+) {
+  const targets = getDrugTargets(drug);
+  if (targets.length === 0) throw new Error(`Drug ${drug} not found`);
+  const sources = targets
+    .map((t) => t.protein)
+    .filter((protein) => graph.adjacencyList[protein]);
+  if (sources.length === 0)
+    throw new Error(`None of ${drug}'s targets are in the network`);
+  return withDestinations(
+    graph,
+    {
+      drug,
+      targets,
+      sources,
+      sourceCosts: targetSourceCosts(targets, costModel),
+    },
+    destination
+  );
+}
+
+// The same context for a query between proteins, with no drug involved:
+// each source is treated as a fully bound target that is activated, so
+// signed effects read as the response to raising the sources.
+export function proteinContext(graph, sources, destination) {
+  if (sources.length === 0)
+    throw new Error("Enter one or more source proteins");
+  requireProteins(graph, sources);
+  if (destination === undefined)
+    throw new Error("Choose the destination proteins to query");
+  return withDestinations(
+    graph,
+    {
+      drug: null,
+      targets: sources.map((protein) => ({
+        protein,
+        affinity: 1,
+        action: "activator",
+      })),
+      sources,
+      sourceCosts: Object.fromEntries(sources.map((p) => [p, 0])),
+    },
+    destination
+  );
+}
+
+// Analyses that take several destinations at once; the rest follow the
+// signal to a single one.
+export const multiDestinationAnalyses = ["bfs", "dijkstra", "kshortest"];
+
+export function checkDestinations({ destinations }, algorithm) {
+  if (destinations.length > 1 && !multiDestinationAnalyses.includes(algorithm))
+    throw new Error("Choose a single destination for this analysis");
+}
+
+export function requireDestination(graph, { drug, sources, destination }) {
+  if (!graph.adjacencyList[destination])
+    throw new Error(
+      `${drug || sources.join(", ")} has no destination protein in the network`
+    );
+  return destination;
+}
+
+const seedAffinities = ({ targets, sources }) =>
+  Object.fromEntries(
+    targets
+      .filter((t) => sources.includes(t.protein))
+      .map((t) => [t.protein, t.affinity])
+  );
+
+// ---------------- Pathways ----------------
+// Breadth-first reach of the targets, grouped by the target each protein
+// was first reached from. With several destinations the search is not cut
+// short at the first.
+export function reachFromTargets(
+  graph,
+  { sources, destination, destinations }
+) {
+  const result = graph.bfs(
+    sources,
+    destinations.length > 1 ? null : destination
+  );
+  const reachedBy = {};
+  Object.keys(result.levels).forEach((protein) => {
+    const origin = result.origin[protein];
+    if (protein !== origin) (reachedBy[origin] ||= []).push(protein);
+  });
+  return { ...result, reachedBy };
+}
+
+// The cheapest pathway from any target, its cost including the target's
+// starting cost; null when the destination is unreachable.
+export function bestPathway(
+  graph,
+  { sources, destination, sourceCosts },
+  costModel = "confidence"
+) {
+  if (!graph.adjacencyList[destination]) return null;
+  const path = graph.dijkstra(sources, destination, costModel, {
+    sourceCosts,
+  });
+  if (!path || path.length === 0) return null;
+  const score = graph.pathScore(path, costModel);
+  return { path, ...score, cost: score.cost + (sourceCosts[path[0]] || 0) };
+}
+
+export function alternativePathways(
+  graph,
+  { sources, destination, sourceCosts },
+  k,
+  costModel = "confidence"
+) {
+  if (!(k >= 1)) throw new Error("Request at least one path");
+  if (!graph.adjacencyList[destination]) return [];
+  return sources
+    .flatMap((protein) =>
+      graph
+        .kShortestPaths(protein, destination, k, costModel)
+        .map((alt) => ({ ...alt, cost: alt.cost + sourceCosts[protein] }))
+    )
+    .sort((a, b) => a.cost - b.cost)
+    .slice(0, k);
+}
+
+// The best pathway to each of the context's destinations, cheapest first,
+// from a single search; `unreached` lists the destinations none reaches.
+export function destinationPathways(
+  graph,
+  { sources, destinations, sourceCosts },
+  costModel = "confidence"
+) {
+  const paths = graph.shortestPaths(sources, costModel, { sourceCosts });
+  const pathways = destinations
+    .filter((destination) => paths[destination])
+    .map((destination) => {
+      const path = paths[destination];
+      const score = graph.pathScore(path, costModel);
+      return {
+        destination,
+        path,
+        ...score,
+        cost: score.cost + (sourceCosts[path[0]] || 0),
+      };
+    })
+    .sort((a, b) => a.cost - b.cost);
+  return {
+    pathways,
+    unreached: destinations.filter((destination) => !paths[destination]),
+  };
+}
+
+// Up to `k` alternative pathways to each destination, cheapest first
+export const alternativePathwaysToEach = (graph, context, k, costModel) =>
+  context.destinations
+    .flatMap((destination) =>
+      alternativePathways(graph, { ...context, destination }, k, costModel)
+    )
+    .sort((a, b) => a.cost - b.cost);
+
+// Strongly connected components in cascade order, limited to those between
+// the primary target and the destination.
+export function cascadeOrder(graph, { sources, destination }) {
+  const [start] = sources;
+  const cascade = graph.condensation();
+  const reachable = new Set(
+    graph.bfs(start).path.map((p) => cascade.componentOf[p])
+  );
+  const startIndex = cascade.order.indexOf(cascade.componentOf[start]);
+  const endIndex = cascade.order.indexOf(cascade.componentOf[destination]);
+  return {
+    cascade,
+    loops: graph.feedbackLoops(),
+    relevantOrder: cascade.order
+      .slice(startIndex, endIndex >= startIndex ? endIndex + 1 : undefined)
+      .filter((c) => reachable.has(c)),
+  };
+}
+
+// ---------------- Influence ----------------
+export function diffuseFromTargets(graph, context, { restart = 0.3 } = {}) {
+  if (!(restart > 0 && restart <= 1))
+    throw new Error("Restart probability must be between 0 and 1");
+  const seeds = seedAffinities(context);
+  const influence = graph.randomWalkWithRestart(seeds, { restart });
+  const downstream = Object.entries(influence)
+    .filter(([p]) => !(p in seeds))
+    .sort((a, b) => b[1] - a[1]);
+  return {
+    seeds,
+    influence,
+    downstream,
+    destinationRank:
+      downstream.findIndex(([p]) => p === context.destination) + 1,
+  };
+}
+
+// Runs the propagation simulator from the targets and records the step at
+// which each protein first crossed the threshold, grouped into waves.
+export function propagateFromTargets(
+  graph,
+  context,
+  { rule = "threshold", threshold = 0.2, decay = true, steps = 10 } = {}
+) {
+  if (!(threshold >= 0 && threshold <= 1))
+    throw new Error("Threshold must be between 0 and 1");
+  if (!(steps >= 1)) throw new Error("Simulate at least one step");
+
+  const frames = graph.simulatePropagation(seedAffinities(context), {
+    rule,
+    threshold,
+    decay,
+    steps,
+  });
+  const activatedAt = {};
+  frames.forEach((frame, t) =>
+    Object.entries(frame).forEach(([protein, activation]) => {
+      if (activation >= threshold && !(protein in activatedAt))
+        activatedAt[protein] = t;
+    })
+  );
+  const waves = [];
+  Object.entries(activatedAt).forEach(([protein, t]) =>
+    (waves[t] = waves[t] || []).push(protein)
+  );
+  return {
+    frames,
+    final: frames[frames.length - 1],
+    activatedAt,
+    waves,
+    steadyState: frames.length - 1 < steps,
+  };
+}
+
+// Net effect of the drug on every protein its targets reach: along the
+// best pathway (target action × interaction signs) and over all fully
+// signed routes ("up", "down", "mixed" or "unknown").
+export function signedEffects(graph, context, costModel = "confidence") {
+  const { targets, sources, sourceCosts } = context;
+  const signs = targetSigns(targets.filter((t) => sources.includes(t.protein)));
+  const reach = graph.signedReach(signs);
+  const netEffect = (path) =>
+    path.length ? signs[path[0]] * graph.pathSign(path) || 0 : 0;
+  const overall = (signsSeen) => {
+    const known = signsSeen.filter((sign) => sign !== 0);
+    if (known.length === 2) return "mixed";
+    if (known.length === 0) return "unknown";
+    return known[0] > 0 ? "up" : "down";
+  };
+  const index = graph.index();
+  const rows = Object.keys(reach)
+    .filter((p) => !(p in signs))
+    .map((protein) => {
+      const path = graph.dijkstra(sources, protein, costModel, {
+        sourceCosts,
+        index,
+      });
+      return {
+        protein,
+        hops: path.length - 1,
+        effect: netEffect(path),
+        overall: overall(reach[protein]),
+        path,
+      };
+    });
+  const edges = Object.values(graph.adjacencyList).flat();
+  return {
+    signs,
+    rows,
+    signedCount: edges.filter((e) => e.effect).length,
+    edgeCount: edges.length,
+  };
+}
+
+// ---------------- Vulnerability ----------------
+// Chokepoint proteins every route passes through and the minimum cut of
+// interactions separating the targets from the destination.
+export function bottlenecks(graph, sources, destination) {
+  return {
+    chokepoints: graph.chokepoints(sources, destination),
+    ...graph.maxFlow(sources, destination),
+  };
+}
+
+// The bottleneck report for every drug with a reachable destination
+export function bottleneckTable(graph) {
+  return Object.keys(getDrugTables().drugs).flatMap((drug) => {
+    const sources = getDrugTargets(drug)
+      .map((t) => t.protein)
+      .filter((p) => graph.adjacencyList[p]);
+    const destination = getDrugDestination(drug);
+    if (
+      sources.length === 0 ||
+      !graph.adjacencyList[destination] ||
+      sources.includes(destination)
+    )
+      return [];
+    const report = bottlenecks(graph, sources, destination);
+    return [
+      {
+        drug,
+        destination,
+        chokepoints: report.chokepoints,
+        cut: report.cut.length,
+        flow: report.value,
+      },
+    ];
+  });
+}
+
+// What removing `knockedOut` does to the drug: the best pathway before and
+// after, proteins no longer reached, which of the top routes it breaks and
+// which proteins on the original pathway were irreplaceable.
+export function knockoutImpact(
+  graph,
+  context,
+  knockedOut,
+  costModel = "confidence"
+) {
+  const { sources, destination, sourceCosts } = context;
+  if (knockedOut.length === 0)
+    throw new Error("Enter one or more proteins to knock out");
+  const unknown = knockedOut.filter((p) => !graph.adjacencyList[p]);
+  if (unknown.length > 0)
+    throw new Error(`Not in the network: ${unknown.join(", ")}`);
+
+  const mutant = graph.withoutVertices(knockedOut);
+  const survivingTargets = sources.filter((p) => !knockedOut.includes(p));
+  const pathwayIn = (network, targets) =>
+    (targets.length &&
+      bestPathway(network, { ...context, sources: targets }, costModel)) || {
+      path: [],
+      cost: Infinity,
+    };
+  const before = pathwayIn(graph, sources);
+  const after = pathwayIn(mutant, survivingTargets);
+  const reachedAfter = new Set(
+    survivingTargets.length ? mutant.bfs(survivingTargets).path : []
+  );
+  const lost = graph
+    .bfs(sources)
+    .path.filter((p) => !reachedAfter.has(p) && !knockedOut.includes(p));
+  const brokenRoutes = graph.adjacencyList[destination]
+    ? sources
+        .flatMap((p) => graph.kShortestPaths(p, destination, 5, costModel))
+        .filter(({ path }) => path.some((p) => knockedOut.includes(p)))
+    : [];
+  const essential = before.path
+    .slice(1, -1)
+    .filter(
+      (p) =>
+        !sources.includes(p) &&
+        graph.withoutVertices([p]).dijkstra(sources, destination, costModel)
+          .length === 0
+    );
+  const status =
+    before.path.length === 0
+      ? "no baseline path"
+      : after.path.length === 0
+      ? "broken"
+      : after.cost > before.cost + 1e-9
+      ? "lengthened"
+      : "unchanged";
+  return {
+    before,
+    after,
+    survivingTargets,
+    lost,
+    brokenRoutes,
+    essential,
+    status,
+  };
+}
+
+// ---------------- Centrality ----------------
+// Weighted variants read confidences as edge strengths, or as distances of
+// 1 / confidence.
+export const centralityMetrics = {
+  betweenness: {
+    label: "Betweenness",
+    compute: (graph, { weighted, sources, onProgress }) =>
+      graph.betweennessCentralityDirected(
+        sources,
+        weighted ? "reciprocal" : "hops",
+        { onProgress }
+      ),
+  },
+  inDegree: {
+    label: "In-degree",
+    compute: (graph, { weighted }) =>
+      graph.degreeCentrality({ direction: "in", weighted }),
+  },
+  outDegree: {
+    label: "Out-degree",
+    compute: (graph, { weighted }) =>
+      graph.degreeCentrality({ direction: "out", weighted }),
+  },
+  closeness: {
+    label: "Closeness",
+    compute: (graph, { weighted, onProgress }) =>
+      graph.closenessCentrality(weighted ? "reciprocal" : "hops", {
+        onProgress,
+      }),
+  },
+  harmonic: {
+    label: "Harmonic",
+    compute: (graph, { weighted, onProgress }) =>
+      graph.harmonicCentrality(weighted ? "reciprocal" : "hops", {
+        onProgress,
+      }),
+  },
+  eigenvector: {
+    label: "Eigenvector",
+    compute: (graph, { weighted }) => graph.eigenvectorCentrality({ weighted }),
+  },
+  pagerank: {
+    label: "PageRank",
+    compute: (graph, { weighted }) => graph.pageRank({ weighted }),
+  },
+};
+
+const normalizers = {
+  none: (values) => values,
+  max: (values) => {
+    const max = Math.max(...values);
+    return values.map((v) => (max ? v / max : 0));
+  },
+  sum: (values) => {
+    const sum = values.reduce((a, b) => a + b, 0);
+    return values.map((v) => (sum ? v / sum : 0));
+  },
+  minmax: (values) => {
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min;
+    return values.map((v) => (range ? (v - min) / range : 0));
+  },
+};
+
+export function normalizeScores(scores, method) {
+  const proteins = Object.keys(scores);
+  const values = normalizers[method](proteins.map((p) => scores[p]));
+  return Object.fromEntries(proteins.map((p, i) => [p, values[i]]));
+}
+
+// With `sources`, betweenness only counts shortest paths leaving them. The
+// all-pairs metrics report `onProgress(done, total)` as they go.
+export function centralityScores(
+  graph,
+  {
+    metric = "betweenness",
+    weighted = false,
+    normalization = "max",
+    sources,
+    onProgress,
+  }
+) {
+  if (!centralityMetrics[metric])
+    throw new Error(`Unknown centrality metric: ${metric}`);
+  if (!normalizers[normalization])
+    throw new Error(`Unknown normalization: ${normalization}`);
+  return normalizeScores(
+    centralityMetrics[metric].compute(graph, { weighted, sources, onProgress }),
+    normalization
+  );
+}
+
+// ---------------- Drug Analysis ----------------
+// One analysis of one drug as plain data: the same { analysis, drug, stats,
+// paths, values } shape the page exports, with numbers left unformatted.
+const analyses = {
+  bfs: (graph, context) => {
+    const { levels, origin, path, reachedBy } = reachFromTargets(
+      graph,
+      context
+    );
+    return {
+      stats: {
+        proteinsReached: path.length,
+        maxDepth: Math.max(...Object.values(levels)),
+        ...(context.destinations.length > 1
+          ? {
+              destinationsReached: context.destinations.filter(
+                (d) => d in levels
+              ).length,
+            }
+          : { reachedVia: origin[context.destination] ?? null }),
+      },
+      paths: [{ path }],
+      values: levels,
+      reachedBy,
+    };
+  },
+  dijkstra: (graph, context, { costModel }) => {
+    if (context.destinations.length > 1) {
+      const { pathways, unreached } = destinationPathways(
+        graph,
+        context,
+        costModel
+      );
+      return {
+        stats: {
+          destinationsReached: pathways.length,
+          unreached: unreached.join(", "),
+          bestConfidence: pathways.length
+            ? Math.max(...pathways.map((p) => p.confidence))
+            : null,
+        },
+        paths: pathways,
+      };
+    }
+    const best = bestPathway(graph, context, costModel);
+    return {
+      stats: best
+        ? {
+            pathExists: true,
+            pathLength: best.path.length,
+            confidence: best.confidence,
+            cost: best.cost,
+            via: best.path[0],
+          }
+        : { pathExists: false },
+      paths: best ? [best] : [],
+    };
+  },
+  kshortest: (graph, context, { costModel, k = 3 }) => {
+    const paths =
+      context.destinations.length > 1
+        ? alternativePathwaysToEach(graph, context, k, costModel)
+        : alternativePathways(graph, context, k, costModel);
+    return {
+      stats: {
+        pathsFound: paths.length,
+        bestConfidence: paths.length ? paths[0].confidence : null,
+      },
+      paths,
+    };
+  },
+  diffusion: (graph, context, { restart }) => {
+    const { influence, downstream, destinationRank } = diffuseFromTargets(
+      graph,
+      context,
+      { restart }
+    );
+    return {
+      stats: {
+        topDownstream: downstream.length ? downstream[0][0] : null,
+        destinationRank: destinationRank || null,
+        downstreamProteins: downstream.length,
+      },
+      values: influence,
+    };
+  },
+  propagation: (graph, context, options) => {
+    const { frames, final, activatedAt, steadyState } = propagateFromTargets(
+      graph,
+      context,
+      options
+    );
+    return {
+      stats: {
+        stepsSimulated: frames.length - 1,
+        steadyState,
+        proteinsActivated: Object.keys(activatedAt).length,
+        destinationActivation: final[context.destination] || 0,
+        destinationReachedAt: activatedAt[context.destination] ?? null,
+      },
+      values: final,
+      frames,
+    };
+  },
+  signed: (graph, context, { costModel }) => {
+    const { rows, signedCount, edgeCount } = signedEffects(
+      graph,
+      context,
+      costModel
+    );
+    const destinationRow = rows.find((r) => r.protein === context.destination);
+    return {
+      stats: {
+        destinationEffect: destinationRow ? destinationRow.effect : null,
+        allSignedRoutes: destinationRow ? destinationRow.overall : null,
+        signedInteractions: signedCount,
+        interactions: edgeCount,
+      },
+      paths: destinationRow ? [{ path: destinationRow.path }] : [],
+      values: Object.fromEntries(rows.map((r) => [r.protein, r.effect])),
+    };
+  },
+  bottleneck: (graph, context) => {
+    requireDestination(graph, context);
+    const { sources, destination } = context;
+    const { chokepoints, cut, value } = bottlenecks(
+      graph,
+      sources,
+      destination
+    );
+    return {
+      stats: {
+        maxFlow: value,
+        cutInteractions: cut.length,
+        chokepoints: chokepoints.join(", "),
+      },
+      paths: cut.map(({ source, target, weight }) => ({
+        path: [source, target],
+        confidence: weight,
+      })),
+    };
+  },
+  knockout: (graph, context, { costModel, knockout = [] }) => {
+    const { before, after, lost, brokenRoutes, status } = knockoutImpact(
+      graph,
+      context,
+      knockout,
+      costModel
+    );
+    return {
+      stats: {
+        knockedOut: knockout.join(", "),
+        status,
+        costChange: Number.isFinite(after.cost - before.cost)
+          ? after.cost - before.cost
+          : null,
+        proteinsLost: lost.length,
+        brokenRoutes: brokenRoutes.length,
+      },
+      paths: [before, after].filter((p) => p.path.length > 0),
+    };
+  },
+  robustness: (graph, context, { order = "betweenness" }) => {
+    requireDestination(graph, context);
+    const { sources, destination } = context;
+    const sweep = graph.robustnessSweep(sources, destination, { order });
+    const breakStep = sweep.findIndex((step) => !step.connected);
+    return {
+      stats: {
+        order,
+        removalsUntilDisconnected: breakStep === -1 ? null : breakStep,
+      },
+      values: Object.fromEntries(
+        sweep
+          .slice(1)
+          .map((s) => [s.removed[s.removed.length - 1], s.pathConfidence])
+      ),
+    };
+  },
+  topological: (graph, context) => {
+    const { cascade, loops, relevantOrder } = cascadeOrder(graph, context);
+    return {
+      stats: {
+        acyclic: cascade.acyclic,
+        components: cascade.components.length,
+        feedbackComponents: loops.length,
+      },
+      paths: [
+        { path: relevantOrder.map((c) => cascade.components[c].join("+")) },
+      ],
+    };
+  },
+};
+
+export const algorithms = Object.keys(analyses);
+
+// Runs an analysis on a prepared drug or protein context
+function analyzeContext(graph, context, options) {
+  const { algorithm = "bfs", costModel = "confidence" } = options;
+  checkDestinations(context, algorithm);
+  return {
+    analysis: algorithm,
+    drug: context.drug,
+    costModel,
+    targets: context.sources,
+    destination: context.destination,
+    ...(context.destinations.length > 1 && {
+      destinations: context.destinations,
+    }),
+    ...analyses[algorithm](graph, context, { ...options, costModel }),
+  };
+}
+
+// `destination` may be a protein, a list or "reachable"; only named
+// proteins need to be in the network.
+const checkOptions = (
+  graph,
+  { algorithm = "bfs", costModel = "confidence", destination }
+) => {
+  if (!analyses[algorithm]) throw new Error(`Unknown algorithm: ${algorithm}`);
+  if (!costModels[costModel])
+    throw new Error(`Unknown cost model: ${costModel}`);
+  if (destination && destination !== "reachable")
+    requireProteins(graph, [].concat(destination));
+};
+
+export function analyzeDrug(graph, drug, options = {}) {
+  checkOptions(graph, options);
+  const context = drugContext(
+    graph,
+    drug,
+    options.costModel,
+    options.destination || undefined
+  );
+  return analyzeContext(graph, context, options);
+}
+
+// A query between proteins: the analysis from `sources` to
+// `options.destination`, with no drug involved
+export function analyzeProteins(graph, sources, options = {}) {
+  checkOptions(graph, options);
+  const context = proteinContext(graph, sources, options.destination);
+  return analyzeContext(graph, context, options);
+}
+
+// Runs one analysis over every drug in the table. A drug that cannot be
+// analysed gets an `error` instead of failing the batch.
+export function analyzeAllDrugs(graph, options = {}) {
+  return Object.keys(getDrugTables().drugs).map((drug) => {
+    try {
+      return analyzeDrug(graph, drug, options);
+    } catch (err) {
+      return { analysis: options.algorithm || "bfs", drug, error: err.message };
+    }
+  });
+}
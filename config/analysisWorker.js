@@ -0,0 +1,45 @@
+// ---------------- Analysis Worker ----------------
+// Runs long analyses off the page's main thread. Each request carries its
+// own snapshot of the network:
+//   { id, task, network, options }
+// and is answered with any number of progress messages, then a result or
+// an error:
+//   { id, type: "progress", done, total }
+//   { id, type: "result", result }
+//   { id, type: "error", message }
+// Cancelling is done by terminating the worker.
+import { Graph } from "./Graph.js";
+import { centralityScores, knockoutImpact } from "./analysis.js";
+
+const tasks = {
+  centrality: (graph, options, onProgress) =>
+    centralityScores(graph, { ...options, onProgress }),
+  robustness: (graph, { sources, destination, order }, onProgress) =>
+    graph.robustnessSweep(sources, destination, { order, onProgress }),
+  knockout: (graph, { context, knockedOut, costModel }) =>
+    knockoutImpact(graph, context, knockedOut, costModel),
+};
+
+// Progress is posted at most this often, so a proteome-scale run does not
+// flood the page with messages
+const PROGRESS_INTERVAL = 100;
+
+self.onmessage = ({ data: { id, task, network, options } }) => {
+  const graph = new Graph();
+  graph.adjacencyList = network;
+  let lastReport = 0;
+  const onProgress = (done, total) => {
+    const now = Date.now();
+    if (done < total && now - lastReport < PROGRESS_INTERVAL) return;
+    lastReport = now;
+    self.postMessage({ id, type: "progress", done, total });
+  };
+
+  try {
+    if (!tasks[task]) throw new Error(`Unknown task: ${task}`);
+    const result = tasks[task](graph, options, onProgress);
+    self.postMessage({ id, type: "result", result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,273 @@
+import { drugTargetMap } from "../data/drugTargetMap.js";
+import { drugDestinationMap } from "../data/drugDestinationMap.js";
+import { drugSynonyms } from "../data/drugSynonyms.js";
+import { edgeCost } from "./Graph.js";
+import { levenshtein } from "./integrity.js";
+
+// The bundled tables, kept so a workspace can be reset to them
+const bundledDrugs = structuredClone(drugTargetMap);
+const bundledDestinations = structuredClone(drugDestinationMap);
+
+// Destinations chosen per drug in the page, which take precedence over the
+// destination of the drug's primary target
+const customDestinations = {};
+
+const replaceContents = (target, source) => {
+  Object.keys(target).forEach((key) => delete target[key]);
+  Object.assign(target, structuredClone(source));
+};
+
+// ---------------- Drug Tables ----------------
+export function getDrugTables() {
+  return {
+    drugs: structuredClone(drugTargetMap),
+    destinations: structuredClone(drugDestinationMap),
+    customDestinations: structuredClone(customDestinations),
+  };
+}
+
+// Swaps in another set of drug and destination tables, e.g. from a saved
+// workspace. Everything importing the maps sees the new contents.
+export function setDrugTables({
+  drugs,
+  destinations,
+  customDestinations: custom = {},
+}) {
+  replaceContents(drugTargetMap, drugs);
+  replaceContents(drugDestinationMap, destinations);
+  replaceContents(customDestinations, custom);
+}
+
+export function resetDrugTables() {
+  setDrugTables({ drugs: bundledDrugs, destinations: bundledDestinations });
+}
+
+// ---------------- Drug Lookup ----------------
+// Every name a drug can be searched by, lower-cased: the drug itself plus
+// its synonyms and brand names.
+export function drugNames() {
+  const names = {};
+  Object.keys(drugTargetMap).forEach((drug) => {
+    names[drug.toLowerCase()] = drug;
+    (drugSynonyms[drug] || []).forEach(
+      (synonym) => (names[synonym.toLowerCase()] = drug)
+    );
+  });
+  return names;
+}
+
+// Resolves what the user typed to a drug in the table. Exact names and
+// synonyms match directly; otherwise the single closest name within a
+// small edit distance is accepted as a typo. When nothing qualifies, the
+// nearest few drugs (or those the text begins) come back as `suggestions`
+// for a "did you mean".
+export function resolveDrugName(query) {
+  const text = query.toLowerCase().trim().replace(/\s+/g, " ");
+  const names = drugNames();
+  if (!text) return { drug: null, match: null, suggestions: [] };
+  if (names[text]) {
+    return {
+      drug: names[text],
+      match: text === names[text].toLowerCase() ? "exact" : "synonym",
+      suggestions: [],
+    };
+  }
+
+  const ranked = Object.keys(names)
+    .map((name) => ({ name, distance: levenshtein(text, name) }))
+    .sort((a, b) => a.distance - b.distance);
+  const tolerance = text.length > 5 ? 2 : 1;
+  const [best, second] = ranked;
+  if (
+    best &&
+    best.distance <= tolerance &&
+    !(second && second.distance === best.distance)
+  ) {
+    return { drug: names[best.name], match: "fuzzy", suggestions: [] };
+  }
+
+  const suggestions = [
+    ...new Set(
+      ranked
+        .filter(
+          ({ name, distance }) =>
+            name.startsWith(text) ||
+            distance <= Math.max(2, Math.ceil(text.length / 3))
+        )
+        .map(({ name }) => names[name])
+    ),
+  ].slice(0, 3);
+  return { drug: null, match: null, suggestions };
+}
+
+// ---------------- Drug Targets ----------------
+// Normalises a drug entry to a list of { protein, affinity, action }, sorted
+// strongest first. Plain protein strings are accepted as a single target.
+export function getDrugTargets(drugName) {
+  const entry = drugTargetMap[drugName];
+  if (!entry) return [];
+
+  return []
+    .concat(entry)
+    .map((target) =>
+      typeof target === "string"
+        ? { protein: target, affinity: 1, action: "modulator" }
+        : { affinity: 1, action: "modulator", ...target }
+    )
+    .sort((a, b) => b.affinity - a.affinity);
+}
+
+// The destination of a drug is the one chosen for it, if any, or else that
+// of its strongest target.
+export function getDrugDestination(drugName) {
+  if (customDestinations[drugName]) return customDestinations[drugName];
+  const [primary] = getDrugTargets(drugName);
+  return primary ? drugDestinationMap[primary.protein] : undefined;
+}
+
+// Sets the destination used for `drugName`; an empty `protein` restores the
+// destination of its strongest target.
+export function setDrugDestination(drugName, protein) {
+  if (!drugTargetMap[drugName]) throw new Error(`Drug ${drugName} not found`);
+  if (protein) customDestinations[drugName] = protein;
+  else delete customDestinations[drugName];
+}
+
+// Starting distances for a multi-source Dijkstra, so paths that leave
+// through a weakly bound target cost more.
+export function targetSourceCosts(targets, costModel = "confidence") {
+  const costs = {};
+  targets.forEach(({ protein, affinity }) => {
+    costs[protein] = costModel === "hops" ? 0 : edgeCost(affinity, costModel);
+  });
+  return costs;
+}
+
+// How each action changes its target's activity: inhibitors and
+// antagonists lower it, agonists and activators raise it, and the effect of
+// modulators and plain binders is unknown (0).
+export const actionSigns = {
+  inhibitor: -1,
+  antagonist: -1,
+  agonist: 1,
+  activator: 1,
+};
+
+export function targetSigns(targets) {
+  return Object.fromEntries(
+    targets.map(({ protein, action }) => [protein, actionSigns[action] || 0])
+  );
+}
+
+// ---------------- Drug Repurposing ----------------
+// Ranks every drug by how well its targets reach `protein`: the most
+// confident route (target affinity × interaction confidences), its length,
+// and the number of edge-disjoint routes. The score is the chance that at
+// least one of that many independent routes as strong as the best carries
+// the signal. A drug binding `protein` directly counts that as one route.
+export function rankDrugsByProximity(graph, protein) {
+  if (!graph.adjacencyList[protein]) return [];
+  const index = graph.index();
+  return Object.keys(drugTargetMap)
+    .map((drug) => {
+      const targets = getDrugTargets(drug).filter(
+        (t) => graph.adjacencyList[t.protein]
+      );
+      const sources = targets.map((t) => t.protein);
+      const path = graph.dijkstra(sources, protein, "confidence", {
+        sourceCosts: targetSourceCosts(targets),
+        index,
+      });
+      if (path.length === 0) return null;
+
+      const via = targets.find((t) => t.protein === path[0]);
+      const confidence = via.affinity * graph.pathScore(path).confidence;
+      const upstream = sources.filter((p) => p !== protein);
+      const routes =
+        (sources.includes(protein) ? 1 : 0) +
+        (upstream.length
+          ? graph.maxFlow(upstream, protein, { capacity: () => 1 }).value
+          : 0);
+      return {
+        drug,
+        via: via.protein,
+        path,
+        hops: path.length - 1,
+        confidence,
+        routes,
+        score: 1 - (1 - confidence) ** routes,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
+
+// ---------------- Drug Comparison ----------------
+const overlap = (a, b) => {
+  const setB = new Set(b);
+  const shared = a.filter((p) => setB.has(p));
+  const union = new Set([...a, ...b]).size;
+  return {
+    shared,
+    onlyA: a.filter((p) => !shared.includes(p)),
+    onlyB: b.filter((p) => !shared.includes(p)),
+    jaccard: union ? shared.length / union : 0,
+  };
+};
+
+// Fewest interactions from either drug's targets to the other's, in
+// whichever direction is shorter; 0 when they share a target.
+const targetDistance = (graph, targetsA, targetsB) => {
+  const hops = (from, to) => {
+    const { levels } = graph.bfs(from);
+    return Math.min(...to.map((p) => (p in levels ? levels[p] : Infinity)));
+  };
+  return Math.min(hops(targetsA, targetsB), hops(targetsB, targetsA));
+};
+
+// A drug's footprint: everything its targets reach, and its best pathway
+// to its destination.
+export function drugFootprint(graph, drug, costModel = "confidence") {
+  const targets = getDrugTargets(drug).filter(
+    (t) => graph.adjacencyList[t.protein]
+  );
+  const sources = targets.map((t) => t.protein);
+  const destination = getDrugDestination(drug);
+  const pathway =
+    sources.length && graph.adjacencyList[destination]
+      ? graph.dijkstra(sources, destination, costModel, {
+          sourceCosts: targetSourceCosts(targets, costModel),
+        })
+      : [];
+  return {
+    drug,
+    targets: sources,
+    destination,
+    reached: sources.length ? graph.bfs(sources).path : [],
+    pathway,
+  };
+}
+
+// Overlap of two footprints: Jaccard index of the reached proteins and of
+// the pathways, intermediates both pathways pass through (not counting
+// either drug's targets or destination) and the distance between targets.
+export function compareDrugs(graph, drugA, drugB, costModel = "confidence") {
+  const a = drugFootprint(graph, drugA, costModel);
+  const b = drugFootprint(graph, drugB, costModel);
+  const pathways = overlap(a.pathway, b.pathway);
+  const endpoints = new Set([
+    ...a.targets,
+    ...b.targets,
+    a.destination,
+    b.destination,
+  ]);
+  return {
+    a,
+    b,
+    reached: overlap(a.reached, b.reached),
+    pathways,
+    sharedTargets: overlap(a.targets, b.targets).shared,
+    sharedIntermediates: pathways.shared.filter((p) => !endpoints.has(p)),
+    targetDistance: targetDistance(graph, a.targets, b.targets),
+  };
+}
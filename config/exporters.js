@@ -0,0 +1,131 @@
+// ---------------- Network & Result Export ----------------
+// Serialisers for the current network and analysis results. Each returns a
+// string ready to be written to a file.
+
+const escapeXml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[
+        c
+      ])
+  );
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCSV(rows, columns) {
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(",")),
+  ].join("\n");
+}
+
+const edgeRows = (graph) =>
+  Object.entries(graph.adjacencyList).flatMap(([source, edges]) =>
+    edges.map(({ node, weight, effect }) => ({
+      source,
+      target: node,
+      confidence: weight,
+      effect,
+    }))
+  );
+
+export function toEdgeCSV(graph) {
+  return toCSV(edgeRows(graph), ["source", "target", "confidence", "effect"]);
+}
+
+export function toGraphML(graph) {
+  const nodes = Object.keys(graph.adjacencyList)
+    .map((id) => `    <node id="${escapeXml(id)}"/>`)
+    .join("\n");
+  const edges = edgeRows(graph)
+    .map(
+      ({ source, target, confidence, effect }, i) =>
+        `    <edge id="e${i}" source="${escapeXml(source)}" target="${escapeXml(
+          target
+        )}">\n      <data key="confidence">${confidence}</data>\n${
+          effect ? `      <data key="effect">${effect}</data>\n` : ""
+        }    </edge>`
+    )
+    .join("\n");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="confidence" for="edge" attr.name="confidence" attr.type="double"/>',
+    '  <key id="effect" for="edge" attr.name="effect" attr.type="string"/>',
+    '  <graph id="DrugTargetFinder" edgedefault="directed">',
+    nodes,
+    edges,
+    "  </graph>",
+    "</graphml>",
+  ].join("\n");
+}
+
+// Cytoscape.js / Cytoscape Desktop "elements" JSON
+export function toCytoscapeJSON(graph) {
+  return JSON.stringify(
+    {
+      elements: {
+        nodes: Object.keys(graph.adjacencyList).map((id) => ({
+          data: { id, name: id },
+        })),
+        edges: edgeRows(graph).map(
+          ({ source, target, confidence, effect }) => ({
+            data: {
+              id: `${source}->${target}`,
+              source,
+              target,
+              confidence,
+              effect,
+            },
+          })
+        ),
+      },
+    },
+    null,
+    2
+  );
+}
+
+// Flattens an analysis result ({ analysis, stats, paths, values }) into
+// section/key/value rows for a spreadsheet.
+export function resultToCSV(result) {
+  const rows = [
+    { section: "analysis", key: "type", value: result.analysis },
+    ...(result.drug
+      ? [{ section: "analysis", key: "drug", value: result.drug }]
+      : []),
+    ...Object.entries(result.stats || {}).map(([key, value]) => ({
+      section: "stat",
+      key,
+      value,
+    })),
+    ...(result.paths || []).map((p, i) => ({
+      section: "path",
+      key: i + 1,
+      value: p.path.join(" -> "),
+      cost: p.cost,
+      confidence: p.confidence,
+    })),
+    ...Object.entries(result.values || {}).map(([key, value]) => ({
+      section: "value",
+      key,
+      value,
+    })),
+  ];
+  return toCSV(rows, ["section", "key", "value", "cost", "confidence"]);
+}
+
+// One row per protein with its activation at each simulation step
+export function activationCurvesToCSV(frames) {
+  const steps = frames.map((_, t) => `t${t}`);
+  const rows = Object.keys(frames[0] || {}).map((protein) => ({
+    protein,
+    ...Object.fromEntries(frames.map((frame, t) => [`t${t}`, frame[protein]])),
+  }));
+  return toCSV(rows, ["protein", ...steps]);
+}
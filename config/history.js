@@ -0,0 +1,59 @@
+// ---------------- Command History ----------------
+// Undo/redo for network edits. A command is { label, do(), undo() }; if
+// do() throws, nothing is recorded and the error reaches the caller. A
+// failed undo or redo leaves the command on the stack it came from.
+
+export class CommandHistory {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  execute(command) {
+    command.do();
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    this.redoStack = [];
+    return command;
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+    try {
+      command.undo();
+    } catch (err) {
+      this.undoStack.push(command);
+      throw err;
+    }
+    this.redoStack.push(command);
+    return command;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+    try {
+      command.do();
+    } catch (err) {
+      this.redoStack.push(command);
+      throw err;
+    }
+    this.undoStack.push(command);
+    return command;
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
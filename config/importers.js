@@ -0,0 +1,184 @@
+// ---------------- Network File Import ----------------
+// Parses interaction files into { source, target, weight, effect? } edges,
+// plus the isolated proteins a SIF file lists on lines of their own.
+// Weights are normalised to 0–1 confidences; every line that cannot become
+// an edge is reported in `rejected` with its line number and a reason.
+
+const headerColumns = {
+  source: /^(source|from|protein1|node1|interactor_?a|gene_?a)$/i,
+  target: /^(target|to|protein2|node2|interactor_?b|gene_?b)$/i,
+  weight: /^(confidence|combined_score|score|weight)$/i,
+  effect: /^(effect|sign|interaction_?type|mode_?of_?action)$/i,
+};
+
+// Activation/inhibition spellings accepted in an effect column or as a SIF
+// interaction type
+const effectNames = {
+  activation: /^(\+|1|activat(es?|ion)|stimulat(es?|ion)|positive|->)$/i,
+  inhibition: /^(-|−|-1|inhibit(s|ion)?|repress(es|ion)?|negative|-\|)$/i,
+};
+const unsigned = /^(|0|\?|unknown|unsigned|none)$/i;
+
+const parseEffect = (text = "") =>
+  Object.keys(effectNames).find((effect) => effectNames[effect].test(text));
+
+export function detectFormat(text, fileName = "") {
+  const name = fileName.toLowerCase();
+  const firstLine =
+    text.split(/\r?\n/).find((l) => l.trim() && !l.startsWith("#")) || "";
+
+  if (name.endsWith(".sif")) return "sif";
+  if (name.includes("protein.links") || /combined_score/.test(firstLine))
+    return "string";
+  if (
+    name.endsWith(".csv") ||
+    (!firstLine.includes("\t") && firstLine.includes(","))
+  )
+    return "csv";
+  return "tsv";
+}
+
+const splitLine = (line, format) => {
+  if (format === "csv")
+    return line.split(",").map((c) => c.trim().replace(/^"(.*)"$/, "$1"));
+  if (format === "string" || !line.includes("\t"))
+    return line.trim().split(/\s+/);
+  return line.split("\t").map((c) => c.trim());
+};
+
+// STRING identifiers carry a taxon prefix, e.g. 9606.ENSP00000269305
+const stripTaxon = (id) => id.replace(/^\d+\./, "");
+
+export function parseNetworkFile(
+  text,
+  { format = "auto", fileName = "", minScore = 0 } = {}
+) {
+  const resolved = format === "auto" ? detectFormat(text, fileName) : format;
+  const edges = [];
+  const nodes = [];
+  const rejected = [];
+  let filtered = 0;
+  let columns = { source: 0, target: 1, weight: 2, effect: 3 };
+  let headerSeen = false;
+
+  const accept = (source, target, weight, line, raw, effect) => {
+    if (!source || !target)
+      return rejected.push({ line, text: raw, reason: "missing protein name" });
+    if (Number.isNaN(weight))
+      return rejected.push({ line, text: raw, reason: "malformed weight" });
+    if (weight < 0 || weight > 1)
+      return rejected.push({
+        line,
+        text: raw,
+        reason: `weight ${weight} outside 0–1`,
+      });
+    if (weight < minScore) return filtered++;
+    edges.push({ source, target, weight, effect, line });
+  };
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    if (!raw.trim() || raw.trim().startsWith("#")) return;
+    const cells = splitLine(raw, resolved);
+
+    if (resolved === "sif") {
+      const [source, type, ...targets] = cells;
+      // A protein alone on its line has no interactions
+      if (cells.length === 1) return nodes.push(source);
+      if (targets.length === 0)
+        return rejected.push({
+          line,
+          text: raw,
+          reason: "expected: source type target…",
+        });
+      targets.forEach((target) =>
+        accept(source, target, 1, line, raw, parseEffect(type))
+      );
+      return;
+    }
+
+    // The first row is a header when it names its columns or its weight
+    // column is not a number
+    if (!headerSeen) {
+      headerSeen = true;
+      const named = cells.some((c) =>
+        Object.values(headerColumns).some((re) => re.test(c))
+      );
+      if (named || (cells.length > 2 && Number.isNaN(Number(cells[2])))) {
+        const find = (re, fallback) => {
+          const idx = cells.findIndex((c) => re.test(c));
+          return idx === -1 ? fallback : idx;
+        };
+        columns = {
+          source: find(headerColumns.source, 0),
+          target: find(headerColumns.target, 1),
+          weight: find(headerColumns.weight, cells.length > 2 ? 2 : -1),
+          effect: find(headerColumns.effect, -1),
+        };
+        return;
+      }
+    }
+
+    if (cells.length < 2)
+      return rejected.push({
+        line,
+        text: raw,
+        reason: "expected at least two columns",
+      });
+
+    let source = cells[columns.source];
+    let target = cells[columns.target];
+    const rawWeight = cells[columns.weight];
+    const rawEffect = resolved === "string" ? "" : cells[columns.effect] || "";
+    const effect = parseEffect(rawEffect);
+    if (!effect && !unsigned.test(rawEffect))
+      return rejected.push({
+        line,
+        text: raw,
+        reason: `unknown effect "${rawEffect}"`,
+      });
+    let weight =
+      columns.weight === -1 || rawWeight === undefined || rawWeight === ""
+        ? 1
+        : Number(rawWeight);
+
+    if (resolved === "string") {
+      source = source && stripTaxon(source);
+      target = target && stripTaxon(target);
+      weight = weight / 1000;
+    }
+
+    accept(source, target, weight, line, raw, effect);
+  });
+
+  return { format: resolved, edges, nodes, rejected, filtered };
+}
+
+// Adds parsed edges, and any isolated `nodes`, to `graph`. Self-loops and
+// duplicates are rejected by Graph.addEdge and reported alongside the parse
+// errors.
+export function importEdges(
+  graph,
+  edges,
+  { replace = false, nodes = [] } = {}
+) {
+  if (replace) graph.adjacencyList = {};
+  nodes.forEach((node) => graph.addVertex(node));
+
+  const rejected = [];
+  let added = 0;
+  edges.forEach(({ source, target, weight, effect, line }) => {
+    try {
+      graph.addEdge(source, target, weight, effect);
+      added++;
+    } catch (err) {
+      rejected.push({
+        line,
+        text: `${source} → ${target}`,
+        reason: err.message.replace(/^Invalid edge: /, ""),
+      });
+    }
+  });
+
+  return { added, rejected };
+}
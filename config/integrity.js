@@ -0,0 +1,227 @@
+import { targetActions } from "../data/drugTargetMap.js";
+import { effectSigns } from "./Graph.js";
+
+// ---------------- Data Integrity Checks ----------------
+// Cross-checks the drug, destination and interaction tables against the
+// live network. Each issue is { severity, category, message, proteins,
+// suggestion? } where severity is "error", "warning" or "info".
+
+export function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+// Closest candidates by case-insensitive edit distance, nearest first
+export function suggestNames(name, candidates, maxDistance = 2) {
+  const lower = name.toLowerCase();
+  return candidates
+    .map((candidate) => ({
+      candidate,
+      distance: levenshtein(lower, candidate.toLowerCase()),
+    }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ candidate }) => candidate);
+}
+
+const targetList = (entry) =>
+  []
+    .concat(entry)
+    .map((t) => (typeof t === "string" ? { protein: t } : t || {}));
+
+export function checkDataIntegrity({
+  graph,
+  drugs = {},
+  destinations = {},
+  customDestinations = {},
+}) {
+  const issues = [];
+  const proteins = Object.keys(graph.adjacencyList);
+  const known = new Set(proteins);
+
+  const unknownProtein = (name, where) => {
+    const [suggestion] = suggestNames(name, proteins);
+    issues.push({
+      severity: "error",
+      category: "Unknown protein",
+      message: `${where} refers to ${name}, which is not in the network`,
+      proteins: [name],
+      suggestion,
+    });
+  };
+
+  // Drugs and their targets
+  Object.entries(drugs).forEach(([drug, entry]) => {
+    const targets = targetList(entry);
+    if (targets.length === 0) {
+      issues.push({
+        severity: "error",
+        category: "Drug without targets",
+        message: `${drug} has no target proteins`,
+        proteins: [],
+      });
+    }
+    targets.forEach(({ protein, affinity, action }) => {
+      if (!protein) {
+        issues.push({
+          severity: "error",
+          category: "Malformed target",
+          message: `${drug} has a target without a protein name`,
+          proteins: [],
+        });
+        return;
+      }
+      if (!known.has(protein)) unknownProtein(protein, `Drug ${drug}`);
+      if (affinity !== undefined && !(affinity >= 0 && affinity <= 1)) {
+        issues.push({
+          severity: "warning",
+          category: "Out-of-range affinity",
+          message: `${drug} → ${protein} has affinity ${affinity}, expected 0–1`,
+          proteins: [protein],
+        });
+      }
+      if (action !== undefined && !targetActions.includes(action)) {
+        issues.push({
+          severity: "warning",
+          category: "Unknown action",
+          message: `${drug} → ${protein} has unknown action "${action}"`,
+          proteins: [protein],
+        });
+      }
+    });
+
+    const [primary] = targets;
+    if (
+      primary &&
+      primary.protein &&
+      !destinations[primary.protein] &&
+      !customDestinations[drug]
+    ) {
+      issues.push({
+        severity: "warning",
+        category: "Missing destination",
+        message: `${drug}'s primary target ${primary.protein} has no destination mapping`,
+        proteins: [primary.protein],
+      });
+    }
+  });
+
+  // Destination mappings
+  Object.entries(destinations).forEach(([target, destination]) => {
+    if (!known.has(target))
+      unknownProtein(target, `Destination mapping ${target} → ${destination}`);
+    if (!known.has(destination))
+      unknownProtein(
+        destination,
+        `Destination mapping ${target} → ${destination}`
+      );
+  });
+
+  Object.entries(customDestinations).forEach(([drug, destination]) => {
+    if (!drugs[drug]) {
+      issues.push({
+        severity: "warning",
+        category: "Unknown drug",
+        message: `Destination ${destination} is set for ${drug}, which is not in the drug table`,
+        proteins: [destination],
+      });
+    }
+    if (!known.has(destination))
+      unknownProtein(destination, `${drug}'s chosen destination`);
+  });
+
+  // Live network: weights and isolated proteins
+  const indeg = {};
+  proteins.forEach((p) => (indeg[p] = 0));
+  proteins.forEach((source) =>
+    graph.adjacencyList[source].forEach(({ node, weight }) => {
+      indeg[node]++;
+      if (typeof weight !== "number" || !(weight >= 0 && weight <= 1)) {
+        issues.push({
+          severity: "warning",
+          category: "Out-of-range weight",
+          message: `${source} → ${node} has weight ${weight}, expected a 0–1 confidence`,
+          proteins: [source, node],
+        });
+      }
+    })
+  );
+  proteins
+    .filter((p) => indeg[p] === 0 && graph.adjacencyList[p].length === 0)
+    .forEach((p) =>
+      issues.push({
+        severity: "info",
+        category: "Isolated protein",
+        message: `${p} has no interactions`,
+        proteins: [p],
+      })
+    );
+
+  return issues;
+}
+
+// Raw [source, target, confidence, effect?] rows, keyed by row id, that a
+// network was loaded or imported from: duplicates, conflicts, self-loops and
+// bad effects, which the Graph drops on load
+export function checkInteractionRows(interactions) {
+  const issues = [];
+  const seen = {};
+  Object.entries(interactions).forEach(([id, row]) => {
+    const [source, target, weight, effect] = row || [];
+    if (!source || !target) {
+      issues.push({
+        severity: "error",
+        category: "Malformed interaction",
+        message: `Interaction ${id} is not [source, target, weight]`,
+        proteins: [],
+      });
+      return;
+    }
+    if (source === target) {
+      issues.push({
+        severity: "error",
+        category: "Self-loop",
+        message: `Interaction ${id} links ${source} to itself`,
+        proteins: [source],
+      });
+    }
+    if (effect !== undefined && !(effect in effectSigns)) {
+      issues.push({
+        severity: "error",
+        category: "Unknown effect",
+        message: `Interaction ${id} has unknown effect "${effect}", expected activation or inhibition`,
+        proteins: [source, target],
+      });
+    }
+    const key = `${source}->${target}`;
+    if (seen[key]) {
+      const conflicting = seen[key].weight !== weight;
+      issues.push({
+        severity: conflicting ? "error" : "warning",
+        category: conflicting
+          ? "Conflicting interaction"
+          : "Duplicate interaction",
+        message: conflicting
+          ? `Interactions ${seen[key].id} and ${id} give ${source} → ${target} weights ${seen[key].weight} and ${weight}`
+          : `Interaction ${id} repeats ${seen[key].id} (${source} → ${target})`,
+        proteins: [source, target],
+      });
+    } else {
+      seen[key] = { id, weight };
+    }
+  });
+  return issues;
+}
@@ -0,0 +1,83 @@
+// ---------------- Queues ----------------
+// The two queues the graph traversals need at proteome scale: a FIFO whose
+// shift() is O(1) (Array.shift() moves every element) and a binary min-heap
+// for Dijkstra.
+
+export class Queue {
+  constructor(items = []) {
+    this.items = [...items];
+    this.head = 0;
+  }
+
+  push(item) {
+    this.items.push(item);
+  }
+
+  shift() {
+    if (this.head === this.items.length) return undefined;
+    const item = this.items[this.head++];
+    // Drop the consumed prefix once it dominates the array
+    if (this.head > 1024 && this.head * 2 > this.items.length) {
+      this.items = this.items.slice(this.head);
+      this.head = 0;
+    }
+    return item;
+  }
+
+  get length() {
+    return this.items.length - this.head;
+  }
+}
+
+// Items with numeric priorities, smallest first; `rank` breaks ties, lowest
+// first. There is no decrease-key: push the item again with its lower
+// priority and skip stale entries as they are popped.
+const before = (a, b) =>
+  a.priority < b.priority || (a.priority === b.priority && a.rank < b.rank);
+
+export class PriorityQueue {
+  constructor() {
+    this.heap = [];
+  }
+
+  push(item, priority, rank = 0) {
+    const heap = this.heap;
+    heap.push({ item, priority, rank });
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!before(heap[i], heap[parent])) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  // Returns { item, priority, rank }, or undefined when empty
+  pop() {
+    const heap = this.heap;
+    if (heap.length === 0) return undefined;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && before(heap[left], heap[smallest]))
+          smallest = left;
+        if (right < heap.length && before(heap[right], heap[smallest]))
+          smallest = right;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  get length() {
+    return this.heap.length;
+  }
+}
@@ -0,0 +1,105 @@
+// ---------------- Workspaces ----------------
+// Named snapshots of the network, drug tables and analysis settings, kept in
+// browser storage under a single key so they survive reloads.
+
+const STORAGE_KEY = "drugTargetFinder.workspaces";
+
+export class WorkspaceStore {
+  constructor(storage = globalThis.localStorage, key = STORAGE_KEY) {
+    this.storage = storage;
+    this.key = key;
+    this.state = this.read();
+  }
+
+  read() {
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.key));
+      if (saved && saved.workspaces) return saved;
+    } catch (err) {
+      console.warn(`Ignoring unreadable workspaces: ${err.message}`);
+    }
+    return { active: null, workspaces: {} };
+  }
+
+  // Applies a change and stores it. A failed write (usually the storage
+  // quota) takes the change back before rethrowing, so memory matches storage.
+  write(change) {
+    const before = {
+      active: this.state.active,
+      workspaces: { ...this.state.workspaces },
+    };
+    change();
+    try {
+      this.storage.setItem(this.key, JSON.stringify(this.state));
+    } catch (err) {
+      this.state = before;
+      throw err;
+    }
+  }
+
+  names() {
+    return Object.keys(this.state.workspaces).sort();
+  }
+
+  get active() {
+    return this.state.active;
+  }
+
+  get(name) {
+    const workspace = this.state.workspaces[name];
+    return workspace ? structuredClone(workspace) : null;
+  }
+
+  save(
+    name,
+    {
+      network,
+      drugs,
+      destinations,
+      customDestinations = {},
+      loadIssues = [],
+      settings = {},
+    }
+  ) {
+    const workspace = structuredClone({
+      network,
+      drugs,
+      destinations,
+      customDestinations,
+      loadIssues,
+      settings,
+      updatedAt: new Date().toISOString(),
+    });
+    this.write(() => {
+      this.state.workspaces[name] = workspace;
+      this.state.active = name;
+    });
+  }
+
+  activate(name) {
+    if (!this.state.workspaces[name]) {
+      throw new Error(`Workspace "${name}" does not exist`);
+    }
+    this.write(() => {
+      this.state.active = name;
+    });
+  }
+
+  duplicate(from, to) {
+    if (this.state.workspaces[to]) {
+      throw new Error(`Workspace "${to}" already exists`);
+    }
+    const source = this.get(from);
+    if (!source) throw new Error(`Workspace "${from}" does not exist`);
+    this.save(to, source);
+  }
+
+  remove(name) {
+    this.write(() => {
+      delete this.state.workspaces[name];
+      if (this.state.active === name) {
+        this.state.active = this.names()[0] ?? null;
+      }
+    });
+  }
+}
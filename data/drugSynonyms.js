@@ -0,0 +1,24 @@
+// Generic synonyms, abbreviations and brand names for each drug in
+// drugTargetMap, matched case-insensitively by the drug search.
+export const drugSynonyms = {
+  aspirin: ["acetylsalicylic acid", "ASA", "Bayer", "Ecotrin"],
+  metformin: ["metformin hydrochloride", "Glucophage", "Fortamet", "Glumetza"],
+  warfarin: ["warfarin sodium", "Coumadin", "Jantoven"],
+  digoxin: ["Lanoxin", "Digitek"],
+  propranolol: ["propranolol hydrochloride", "Inderal", "InnoPran"],
+  lisinopril: ["Prinivil", "Zestril", "Qbrelis"],
+  atorvastatin: ["atorvastatin calcium", "Lipitor"],
+  sildenafil: ["sildenafil citrate", "Viagra", "Revatio"],
+  clopidogrel: ["clopidogrel bisulfate", "Plavix"],
+  haloperidol: ["Haldol"],
+  fluoxetine: ["fluoxetine hydrochloride", "Prozac", "Sarafem"],
+  tamoxifen: ["tamoxifen citrate", "Nolvadex", "Soltamox"],
+  rituximab: ["Rituxan", "MabThera", "Truxima"],
+  imatinib: ["imatinib mesylate", "Gleevec", "Glivec"],
+  trastuzumab: ["Herceptin", "Kanjinti", "Ogivri"],
+  gefitinib: ["Iressa"],
+  ciprofloxacin: ["cipro", "Ciproxin"],
+  omeprazole: ["Prilosec", "Losec"],
+  prednisone: ["Deltasone", "Rayos"],
+  heparin: ["heparin sodium", "unfractionated heparin", "UFH"],
+};
@@ -1,22 +1,45 @@
+// Each drug lists the proteins it binds, strongest first. `affinity` is a
+// 0–1 binding strength and `action` one of `targetActions`.
+export const targetActions = [
+  "inhibitor",
+  "antagonist",
+  "agonist",
+  "activator",
+  "modulator",
+  "binder",
+];
+
 export const drugTargetMap = {
-  aspirin: "PTGS1",
-  metformin: "INSR",
-  warfarin: "VKORC1",
-  digoxin: "ATP1A1",
-  propranolol: "ADRB1",
-  lisinopril: "ACE",
-  atorvastatin: "HMGCR",
-  sildenafil: "PDE5A",
-  clopidogrel: "P2RY12",
-  haloperidol: "DRD2",
-  fluoxetine: "SLC6A4",
-  tamoxifen: "ESR1",
-  rituximab: "MS4A1",
-  imatinib: "ABL1",
-  trastuzumab: "ERBB2",
-  gefitinib: "EGFR",
-  ciprofloxacin: "gyrA",
-  omeprazole: "ATP4A",
-  prednisone: "NR3C1",
-  heparin: "SERPINC1",
+  aspirin: [
+    { protein: "PTGS1", affinity: 0.95, action: "inhibitor" },
+    { protein: "PTGS2", affinity: 0.6, action: "inhibitor" },
+  ],
+  metformin: [{ protein: "INSR", affinity: 0.6, action: "modulator" }],
+  warfarin: [{ protein: "VKORC1", affinity: 0.95, action: "inhibitor" }],
+  digoxin: [{ protein: "ATP1A1", affinity: 0.9, action: "inhibitor" }],
+  propranolol: [
+    { protein: "ADRB1", affinity: 0.9, action: "antagonist" },
+    { protein: "ADRB2", affinity: 0.85, action: "antagonist" },
+  ],
+  lisinopril: [{ protein: "ACE", affinity: 0.95, action: "inhibitor" }],
+  atorvastatin: [{ protein: "HMGCR", affinity: 0.95, action: "inhibitor" }],
+  sildenafil: [{ protein: "PDE5A", affinity: 0.95, action: "inhibitor" }],
+  clopidogrel: [{ protein: "P2RY12", affinity: 0.9, action: "antagonist" }],
+  haloperidol: [
+    { protein: "DRD2", affinity: 0.95, action: "antagonist" },
+    { protein: "HTR2A", affinity: 0.55, action: "antagonist" },
+  ],
+  fluoxetine: [{ protein: "SLC6A4", affinity: 0.95, action: "inhibitor" }],
+  tamoxifen: [{ protein: "ESR1", affinity: 0.9, action: "modulator" }],
+  rituximab: [{ protein: "MS4A1", affinity: 0.95, action: "binder" }],
+  imatinib: [{ protein: "ABL1", affinity: 0.95, action: "inhibitor" }],
+  trastuzumab: [{ protein: "ERBB2", affinity: 0.95, action: "antagonist" }],
+  gefitinib: [
+    { protein: "EGFR", affinity: 0.95, action: "inhibitor" },
+    { protein: "ERBB2", affinity: 0.45, action: "inhibitor" },
+  ],
+  ciprofloxacin: [{ protein: "gyrA", affinity: 0.9, action: "inhibitor" }],
+  omeprazole: [{ protein: "ATP4A", affinity: 0.95, action: "inhibitor" }],
+  prednisone: [{ protein: "NR3C1", affinity: 0.85, action: "agonist" }],
+  heparin: [{ protein: "SERPINC1", affinity: 0.9, action: "activator" }],
 };
@@ -1,3 +1,6 @@
+// Each interaction is [source, target, confidence, effect?]. The optional
+// effect is "activation" or "inhibition"; unsigned interactions are unknown.
+// The bundled interactions carry no curated sign, so all are unsigned.
 export const proteinInteractions = {
   1: ["CACNA2D1", "ATP1A1", 0.53],
   2: ["SERPINC1", "NR3C1", 0.51],
@@ -84,4 +87,3 @@ export const proteinInteractions = {
   83: ["ERBB2", "ATP4A", 0.53],
   84: ["HMGCR", "ACE", 0.57],
 };
-
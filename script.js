@@ -1,30 +1,100 @@
-import { drugTargetMap } from "./data/drugTargetMap.js";
-import { drugDestinationMap } from "./data/drugDestinationMap.js";
 import { proteinInteractions } from "./data/interactions.js";
 import { Graph } from "./config/Graph.js";
+import { parseNetworkFile, importEdges } from "./config/importers.js";
+import {
+  toGraphML,
+  toCytoscapeJSON,
+  toEdgeCSV,
+  resultToCSV,
+  activationCurvesToCSV,
+} from "./config/exporters.js";
+import {
+  getDrugTargets,
+  getDrugDestination,
+  getDrugTables,
+  setDrugTables,
+  resetDrugTables,
+  setDrugDestination,
+  rankDrugsByProximity,
+  compareDrugs,
+  drugNames,
+  resolveDrugName,
+} from "./config/drugs.js";
+import { WorkspaceStore } from "./config/workspaces.js";
+import { CommandHistory } from "./config/history.js";
+import {
+  checkDataIntegrity,
+  checkInteractionRows,
+} from "./config/integrity.js";
+import {
+  loadInteractions,
+  drugContext,
+  proteinContext,
+  requireProteins,
+  checkDestinations,
+  requireDestination,
+  reachFromTargets,
+  bestPathway,
+  alternativePathways,
+  destinationPathways,
+  alternativePathwaysToEach,
+  cascadeOrder,
+  diffuseFromTargets,
+  propagateFromTargets,
+  signedEffects,
+  bottlenecks,
+  bottleneckTable,
+  knockoutImpact,
+  centralityMetrics,
+  centralityScores,
+} from "./config/analysis.js";
 
 const graph = new Graph();
 
 // Initialize graph from proteinInteractions
-Object.values(proteinInteractions).forEach(([protein1, protein2, weight]) => {
-  try {
-    graph.addEdge(protein1, protein2, weight);
-  } catch (err) {
-    console.warn(err.message);
-  }
-});
+// Problems in the raw rows the network was loaded from (duplicates,
+// conflicts, self-loops, bad effects); the rows themselves are not kept
+let loadIssues = [];
+
+function loadBundledNetwork() {
+  loadInteractions(graph, proteinInteractions);
+  loadIssues = checkInteractionRows(proteinInteractions);
+}
+loadBundledNetwork();
 
 let cy;
+let lastResult = null;
 
 // ---------------- Flash Messages ----------------
 function flashMessage(msg, type = "success") {
   const flash = document.getElementById("flash");
   flash.textContent = msg;
-  flash.style.background = type === "error" ? "#e0665eff" : "#27d1b5ff";
+  flash.style.background =
+    type === "error"
+      ? "#e0665eff"
+      : type === "warning"
+      ? "#d69e2eff"
+      : "#27d1b5ff";
   flash.classList.remove("hidden");
   setTimeout(() => flash.classList.add("hidden"), 8000);
 }
 
+// Runs an analysis step, flashing its error instead of throwing
+const attempt = (step) => {
+  try {
+    return step();
+  } catch (err) {
+    flashMessage(err.message, "error");
+    return null;
+  }
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"]/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c])
+  );
+
 // ---------------- Initialize Cytoscape Network ----------------
 function initializeNetwork() {
   const elements = [];
@@ -43,6 +113,7 @@ function initializeNetwork() {
             source: node,
             target: edge.node,
             weight: edge.weight,
+            effect: edge.effect,
             label: edge.weight.toString(),
           },
         });
@@ -87,20 +158,76 @@ function initializeNetwork() {
             "text-rotation": "autorotate",
           },
         },
+        {
+          selector: 'edge[effect = "activation"]',
+          style: {
+            "line-color": "#38a169",
+            "target-arrow-color": "#38a169",
+            "target-arrow-shape": "triangle",
+          },
+        },
+        {
+          selector: 'edge[effect = "inhibition"]',
+          style: {
+            "line-color": "#e53e3e",
+            "target-arrow-color": "#e53e3e",
+            "target-arrow-shape": "tee",
+          },
+        },
         {
           selector: "edge:selected",
           style: { "line-color": "#ff0000", "target-arrow-color": "#ff0000" },
         },
       ],
-      layout: { name: "cose", animate: true },
     });
+    bindContextMenu();
+    cy.on("layoutstart", () => (layoutRunning = true));
+    cy.on("layoutstop", () => (layoutRunning = false));
+    cy.on("viewport", scheduleLinkUpdate);
   } else {
     cy.elements().remove();
     cy.add(elements);
-    cy.layout({ name: "cose", animate: true }).run();
   }
+  cy.layout({ name: "cose", animate: true }).run();
+
+  renderSearchOptions();
+}
+
+// Autocomplete lists: proteins for repurposing; drugs and their synonyms,
+// then proteins as their own group, for the drug field (see
+// routeProteinQuery)
+function renderSearchOptions() {
+  const option = (value, label) =>
+    `<option value="${escapeHtml(value)}"${
+      label ? ` label="${escapeHtml(label)}"` : ""
+    }></option>`;
+  const proteins = Object.keys(graph.adjacencyList).sort();
+  const names = drugNames();
+
+  document.getElementById("proteinOptions").innerHTML = proteins
+    .map((protein) => option(protein))
+    .join("");
+  document.getElementById("drugOptions").innerHTML = [
+    ...Object.keys(names)
+      .sort()
+      .map((name) =>
+        name === names[name].toLowerCase()
+          ? option(names[name], "drug")
+          : option(name, `brand/synonym of ${names[name]}`)
+      ),
+    ...proteins.map((protein) =>
+      option(protein, "protein: start the query from it")
+    ),
+  ].join("");
 }
 
+const costModelLabels = {
+  confidence: "max confidence product (−log)",
+  inverse: "1 − confidence",
+  hops: "hop count",
+  raw: "raw weight",
+};
+
 // ---------------- Update Algorithm Info ----------------
 function updateAlgorithmInfo() {
   const algorithm = document.getElementById("algorithmSelect").value;
@@ -113,11 +240,39 @@ function updateAlgorithmInfo() {
     },
     dijkstra: {
       title: "Dijkstra's Shortest Path",
-      desc: "Finds the most efficient pathway from the drug target to other proteins based on interaction strengths.",
+      desc: "Finds the most efficient pathway from the drug target to its destination. The cost model decides how interaction confidences become edge costs; −log confidence picks the path with the highest combined confidence.",
+    },
+    diffusion: {
+      title: "Network Diffusion (Random Walk with Restart)",
+      desc: "Ranks every protein by how much of the drug's influence reaches it: a walker starts at the drug targets, follows interactions in proportion to their confidence and jumps back to a target with the restart probability.",
+    },
+    kshortest: {
+      title: "K Shortest Paths (Yen's Algorithm)",
+      desc: "Ranks the top K loopless pathways from the drug target to its destination under the selected cost model, so alternative mechanisms can be compared.",
     },
     topological: {
-      title: "Topological Sort",
-      desc: "Shows the order of protein activation/inhibition in biological cascades, useful for understanding signal flow.",
+      title: "Signal Cascade (SCC + Topological Order)",
+      desc: "Finds strongly connected components and feedback loops, then orders the condensed network topologically. Warns when the network has cycles and no true topological order exists.",
+    },
+    propagation: {
+      title: "Signal Propagation Simulation",
+      desc: "Spreads the drug perturbation from its targets one interaction per step. The threshold rule keeps graded activations, the Boolean rule switches proteins fully on; with decay the signal weakens by each interaction's confidence. Use play, step and the timeline to replay the spread.",
+    },
+    signed: {
+      title: "Net Effect (Signed Paths)",
+      desc: "Combines each target's drug action (inhibitor, agonist, …) with the activation/inhibition sign of every interaction to predict whether downstream proteins are up- or down-regulated. Reports the effect along the best path and whether all fully signed routes agree; unsigned interactions make the effect unknown.",
+    },
+    bottleneck: {
+      title: "Bottlenecks (Min Cut + Dominators)",
+      desc: "Finds what every route from the drug targets to the destination depends on: chokepoint proteins from the dominator tree rooted at the targets, and the minimum set of interactions whose removal disconnects them, with confidences as edge capacities. The table compares all drugs; click a row to analyse it.",
+    },
+    knockout: {
+      title: "In-Silico Knockout",
+      desc: "Removes the chosen proteins from a copy of the network and compares the drug's best pathway before and after: whether it survives, lengthens or breaks, which proteins become unreachable, and which proteins on the original path are essential.",
+    },
+    robustness: {
+      title: "Robustness Sweep",
+      desc: "Removes proteins one at a time, in descending betweenness or random order, and plots how the target-to-destination path confidence and the largest connected component degrade. Drug targets and the destination are never removed.",
     },
     validate: {
       title: "Validate Graph",
@@ -126,240 +281,2181 @@ function updateAlgorithmInfo() {
   };
 
   infoDiv.innerHTML = `<h5>${descriptions[algorithm].title}</h5><p>${descriptions[algorithm].desc}</p>`;
+
+  document.getElementById("costModelGroup").style.display = [
+    "dijkstra",
+    "kshortest",
+    "knockout",
+  ].includes(algorithm)
+    ? "block"
+    : "none";
+  document.getElementById("kPathsGroup").style.display =
+    algorithm === "kshortest" ? "block" : "none";
+  document.getElementById("restartGroup").style.display =
+    algorithm === "diffusion" ? "block" : "none";
+  document.getElementById("knockoutGroup").style.display =
+    algorithm === "knockout" ? "block" : "none";
+  document.getElementById("robustnessGroup").style.display =
+    algorithm === "robustness" ? "block" : "none";
+  document.getElementById("propagationGroup").style.display =
+    algorithm === "propagation" ? "block" : "none";
+}
+
+// ---------------- Query Fields ----------------
+// Shows the drug or source field for where the query starts, and the
+// destination list once proteins are chosen. A query between proteins has
+// no drug destination to fall back on.
+function updateQueryFields() {
+  const fromProteins =
+    document.getElementById("querySelect").value === "proteins";
+  const destinationSelect = document.getElementById("destinationSelect");
+  destinationSelect.querySelector('option[value="drug"]').disabled =
+    fromProteins;
+  if (fromProteins && destinationSelect.value === "drug")
+    destinationSelect.value = "proteins";
+
+  document.getElementById("drugGroup").style.display = fromProteins
+    ? "none"
+    : "block";
+  document.getElementById("sourceGroup").style.display = fromProteins
+    ? "block"
+    : "none";
+  document.getElementById("destinationInput").style.display =
+    destinationSelect.value === "proteins" ? "block" : "none";
 }
 
+// A protein name in the drug field (e.g. picked from its protein
+// suggestions) switches the query to start from that protein. Drug names
+// and synonyms win; anything else is left to readDrug's suggestions.
+function routeProteinQuery() {
+  const input = document.getElementById("drugInput");
+  const protein = input.value.trim();
+  const { match } = resolveDrugName(protein);
+  if (!graph.adjacencyList[protein] || match === "exact" || match === "synonym")
+    return false;
+  document.getElementById("querySelect").value = "proteins";
+  document.getElementById("sourceInput").value = protein;
+  input.value = "";
+  updateQueryFields();
+  flashMessage(`${protein} is a protein: the query now starts from it`);
+  return true;
+}
+
+const readProteinList = (inputId) =>
+  document
+    .getElementById(inputId)
+    .value.split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+// ---------------- Signed Effects ----------------
+const effectLabels = {
+  1: "up-regulated",
+  "-1": "down-regulated",
+  0: "unknown",
+};
+const effectPalette = {
+  up: "#68d391",
+  down: "#fc8181",
+  mixed: "#b794f4",
+  unknown: "#e2e8f0",
+};
+
 // ---------------- Reset Graph Visibility ----------------
 const resetGraphVisibility = () => {
   cy.nodes().style("display", "none");
   cy.edges().style("display", "none");
 };
 
+// ---------------- Highlight Path ----------------
+function highlightPath(path) {
+  highlightPaths([path]);
+}
+
+// Several paths at once, e.g. the best path to each destination
+function highlightPaths(paths) {
+  resetGraphVisibility();
+  paths.forEach((path) => {
+    path.forEach((protein, index) =>
+      cy.$id(protein).style({
+        display: "element",
+        "background-color": index === 0 ? "#ff0000" : "#ffaaaa",
+        "border-color": "#ff0000",
+      })
+    );
+    for (let i = 0; i < path.length - 1; i++) {
+      cy.edges(`[source="${path[i]}"][target="${path[i + 1]}"]`).style({
+        display: "element",
+        "line-color": "#ff0000",
+      });
+    }
+  });
+}
+
+// ---------------- Highlight Drug Targets ----------------
+const targetPalette = ["#ff0000", "#d69e2e", "#805ad5", "#0d7c5e", "#dd6b20"];
+
+function highlightTargets(targets) {
+  targets.forEach((protein, index) =>
+    cy.$id(protein).style({
+      display: "element",
+      "background-color": targetPalette[index % targetPalette.length],
+      "border-color": "#333",
+      "border-width": 4,
+    })
+  );
+}
+
+// Colours for the non-trivial strongly connected components
+const sccPalette = [
+  "#f6ad55",
+  "#68d391",
+  "#b794f4",
+  "#f687b3",
+  "#4fd1c5",
+  "#fc8181",
+];
+
+// ---------------- Stat Cards ----------------
+// Values and labels may carry protein and drug names from imported files,
+// so both are escaped.
+function renderStats(stats) {
+  document.getElementById("stats").innerHTML = Object.entries(stats)
+    .map(
+      ([key, value]) =>
+        `<div class="stat-card"><div class="value">${escapeHtml(
+          value
+        )}</div><div class="label">${escapeHtml(key)}</div></div>`
+    )
+    .join("");
+}
+
+// ---------------- Alternative Path List ----------------
+function renderPathList(paths = []) {
+  const list = document.getElementById("pathList");
+  list.innerHTML = "";
+  paths.forEach(({ path, cost, confidence }, index) => {
+    const item = document.createElement("li");
+    item.innerHTML = `<strong>#${index + 1}</strong> ${escapeHtml(
+      path.join(" → ")
+    )}<div class="path-score">cost ${cost.toFixed(
+      3
+    )} · confidence ${confidence.toFixed(3)}</div>`;
+    item.addEventListener("click", () => {
+      list
+        .querySelectorAll("li")
+        .forEach((li) => li.classList.remove("active"));
+      item.classList.add("active");
+      highlightPath(path);
+      updateLink();
+    });
+    list.appendChild(item);
+  });
+}
+
+// ---------------- Drug Search ----------------
+const didYouMean = (suggestions) =>
+  suggestions.length ? `. Did you mean ${suggestions.join(" or ")}?` : "";
+
+// Resolves the drug typed into a field, writing the canonical name back so
+// the field shows which drug was used. Returns null after flashing why when
+// nothing matches.
+function readDrug(inputId) {
+  const input = document.getElementById(inputId);
+  const query = input.value.trim();
+  if (!query) {
+    flashMessage("Please enter a drug name", "error");
+    return null;
+  }
+  const { drug, match, suggestions } = resolveDrugName(query);
+  if (!drug) {
+    flashMessage(`Drug ${query} not found${didYouMean(suggestions)}`, "error");
+    return null;
+  }
+  if (match !== "exact") {
+    flashMessage(`Showing results for ${drug} (matched "${query}")`, "warning");
+  }
+  input.value = drug;
+  return drug;
+}
+
+// ---------------- Background Analysis ----------------
+// Long analyses run in a worker so the page stays responsive while they
+// report progress; Cancel terminates the worker and the next task starts a
+// fresh one. Where workers are unavailable they run inline.
+const backgroundTasks = {
+  centrality: (options) => centralityScores(graph, options),
+  robustness: ({ sources, destination, order }) =>
+    graph.robustnessSweep(sources, destination, { order }),
+  knockout: ({ context, knockedOut, costModel }) =>
+    knockoutImpact(graph, context, knockedOut, costModel),
+};
+let analysisWorker = null;
+let runningTask = null;
+let taskCount = 0;
+
+function showTaskProgress(label, done, total) {
+  document.getElementById("taskProgress").classList.remove("hidden");
+  const bar = document.getElementById("taskProgressBar");
+  bar.max = total;
+  bar.value = done;
+  document.getElementById(
+    "taskProgressLabel"
+  ).textContent = `${label}: ${done} / ${total}`;
+}
+
+function finishBackgroundTask() {
+  runningTask = null;
+  document.getElementById("taskProgress").classList.add("hidden");
+}
+
+// Resolves with the task's result, or with null if it is cancelled
+function runInBackground(task, options, label) {
+  cancelBackgroundTask();
+  if (typeof Worker === "undefined") {
+    return Promise.resolve(backgroundTasks[task](options));
+  }
+
+  analysisWorker ||= new Worker(
+    new URL("./config/analysisWorker.js", import.meta.url),
+    { type: "module" }
+  );
+  const id = ++taskCount;
+  showTaskProgress(label, 0, 1);
+  return new Promise((resolve, reject) => {
+    runningTask = { id, resolve };
+    analysisWorker.onmessage = ({ data }) => {
+      if (data.id !== id) return;
+      if (data.type === "progress")
+        return showTaskProgress(label, data.done, data.total);
+      finishBackgroundTask();
+      if (data.type === "result") resolve(data.result);
+      else reject(new Error(data.message));
+    };
+    analysisWorker.onerror = (event) => {
+      event.preventDefault();
+      analysisWorker.terminate();
+      analysisWorker = null;
+      finishBackgroundTask();
+      reject(new Error(event.message || "The analysis worker failed"));
+    };
+    analysisWorker.postMessage({
+      id,
+      task,
+      network: graph.adjacencyList,
+      options,
+    });
+  });
+}
+
+// Like attempt, for a background task: null when it fails or is cancelled
+async function attemptInBackground(task, options, label) {
+  try {
+    return await runInBackground(task, options, label);
+  } catch (err) {
+    flashMessage(err.message, "error");
+    return null;
+  }
+}
+
+function cancelBackgroundTask() {
+  if (!runningTask) return false;
+  const { resolve } = runningTask;
+  analysisWorker.terminate();
+  analysisWorker = null;
+  finishBackgroundTask();
+  resolve(null);
+  return true;
+}
+
 // ---------------- Run Analysis ----------------
-function runAnalysis() {
-  const drugInput = document
-    .getElementById("drugInput")
-    .value.toLowerCase()
-    .trim();
+async function runAnalysis() {
   const algorithm = document.getElementById("algorithmSelect").value;
+  const costModel = document.getElementById("costModelSelect").value;
+  const fromProteins =
+    document.getElementById("querySelect").value === "proteins";
+  const destinationMode = document.getElementById("destinationSelect").value;
 
-  if (!drugInput) return flashMessage("Please enter a drug name", "error");
+  if (!fromProteins && routeProteinQuery()) return runAnalysis();
 
-  const targetProtein = drugTargetMap[drugInput];
-  if (!targetProtein)
-    return flashMessage(`Drug ${drugInput} not found`, "error");
+  let drugInput = null;
+  if (!fromProteins) {
+    drugInput = readDrug("drugInput");
+    if (!drugInput) return;
+  }
+
+  // The drug's own destination (undefined), chosen proteins or "reachable"
+  const destinationChoice =
+    destinationMode === "proteins"
+      ? readProteinList("destinationInput")
+      : destinationMode === "reachable"
+      ? "reachable"
+      : undefined;
+  if (Array.isArray(destinationChoice) && destinationChoice.length === 0)
+    return flashMessage("Enter one or more destination proteins", "error");
 
-  const destinationProtein = drugDestinationMap[targetProtein];
+  const context = attempt(() => {
+    if (Array.isArray(destinationChoice))
+      requireProteins(graph, destinationChoice);
+    const query = fromProteins
+      ? proteinContext(graph, readProteinList("sourceInput"), destinationChoice)
+      : drugContext(graph, drugInput, costModel, destinationChoice);
+    checkDestinations(query, algorithm);
+    return query;
+  });
+  if (!context) return;
+  const {
+    targets,
+    sources: targetProteins,
+    destination: destinationProtein,
+    destinations,
+    sourceCosts,
+  } = context;
+  const targetProtein = targetProteins[0];
+  const targetLabel = targetProteins.join(", ");
+  const destinationLabel =
+    destinations.length > 3
+      ? `${destinations.length} proteins`
+      : destinations.length > 1
+      ? destinations.join(", ")
+      : destinationProtein;
   let result,
+    alternatives = [],
+    resultPaths = [],
+    rankTable = { rows: [], columns: [] },
     pathwayText = "",
+    chart = null,
     stats = {};
 
   // Reset node/edge styles
+  resetOverlays();
   cy.nodes().forEach((n) =>
-    n.style({ "background-color": "#97c2fc", "border-color": "#2b7ce9" })
+    n.style({
+      "background-color": "#97c2fc",
+      "border-color": "#2b7ce9",
+      "border-width": 2,
+      width: 30,
+      height: 30,
+      opacity: 1,
+    })
   );
-  cy.edges().forEach((e) =>
-    e.style({ "line-color": "#848484", "target-arrow-color": "#848484" })
+  cy.edges().removeStyle(
+    "line-color target-arrow-color line-style width opacity"
   );
 
+  const targetsKey = drugInput ? "Drug Targets" : "Source Proteins";
+  const drugTargetsStat = drugInput
+    ? targets.map((t) => `${t.protein} (${t.action}, ${t.affinity})`).join(", ")
+    : targetLabel;
+
   switch (algorithm) {
     case "bfs":
-      result = graph.bfs(targetProtein, destinationProtein);
+      result = reachFromTargets(graph, context);
+      const { reachedBy } = result;
       pathwayText =
-        `BFS Starting from ${targetProtein}: \n` + result.path.join("->");
+        `BFS Starting from ${targetLabel}: \n` +
+        result.path.join("->") +
+        "\n\n" +
+        targetProteins
+          .map(
+            (protein) =>
+              `Reached from ${protein}: ${
+                (reachedBy[protein] || []).join(", ") || "none"
+              }`
+          )
+          .join("\n");
       stats = {
         "Proteins Reached": result.path.length,
         "Max Depth": Math.max(...Object.values(result.levels)),
-        "Starting Protein": targetProtein,
-        "Destination Protein": destinationProtein,
+        [targetsKey]: drugTargetsStat,
+        "Destination Protein": destinationLabel,
+        ...(destinations.length > 1
+          ? {
+              "Destinations Reached": `${
+                destinations.filter((d) => d in result.levels).length
+              } / ${destinations.length}`,
+            }
+          : { "Reached Via": result.origin[destinationProtein] ?? "—" }),
       };
-      resetGraphVisibility();
-      result.path.forEach((protein, index) => {
-        cy.$id(protein).style({
-          display: "element",
-          "background-color": index === 0 ? "#ff0000" : "#ffaaaa",
-          "border-color": "#ff0000",
-        });
-      });
-      for (let i = 0; i < result.path.length - 1; i++) {
-        cy.edges(
-          `[source="${result.path[i]}"][target="${result.path[i + 1]}"]`
-        ).style({
-          display: "element",
-          "line-color": "#ff0000",
-        });
-      }
+      resultPaths = [{ path: result.path }];
+      highlightPath(result.path);
+      highlightTargets(targetProteins);
       break;
 
     case "dijkstra":
-      const path = graph.dijkstra(targetProtein, destinationProtein);
-      if (!path || path.length === 0) {
-        pathwayText = `No path exists from ${targetProtein} to ${destinationProtein}`;
+      if (destinations.length > 1) {
+        const { pathways, unreached } = destinationPathways(
+          graph,
+          context,
+          costModel
+        );
+        pathwayText =
+          `Best paths from ${targetLabel} to ${pathways.length} of ${destinations.length} destinations (${costModelLabels[costModel]}).\n` +
+          (unreached.length ? `Not reached: ${unreached.join(", ")}\n` : "") +
+          "Click a path to highlight it on the network.";
+        stats = {
+          "Destinations Reached": `${pathways.length} / ${destinations.length}`,
+          "Best Confidence": pathways.length
+            ? Math.max(...pathways.map((p) => p.confidence)).toFixed(3)
+            : "—",
+          [targetsKey]: drugTargetsStat,
+          "Destination Protein": destinationLabel,
+        };
+        alternatives = resultPaths = pathways;
+        highlightPaths(pathways.map((p) => p.path));
+        highlightTargets(targetProteins);
+        break;
+      }
+      const best = bestPathway(graph, context, costModel);
+      if (!best) {
+        pathwayText = `No path exists from ${targetLabel} to ${destinationProtein}`;
         stats = {
-          "Starting Protein": targetProtein,
-          "Destination Protein": destinationProtein,
+          [targetsKey]: drugTargetsStat,
+          "Destination Protein": destinationLabel,
           "Path Exists": false,
         };
         resetGraphVisibility();
+        highlightTargets(targetProteins);
       } else {
+        const { path, ...score } = best;
         pathwayText =
-          `Dijkstra's Path from ${targetProtein} to ${destinationProtein}:\n` +
-          path.join(" → ");
+          `Dijkstra's Path from ${path[0]} to ${destinationProtein} (${costModelLabels[costModel]}):\n` +
+          path.join(" → ") +
+          "\n\n" +
+          score.edges
+            .map(
+              (e) =>
+                `${e.source} → ${e.target}: confidence ${
+                  e.weight
+                }, cost ${e.cost.toFixed(3)}`
+            )
+            .join("\n");
         stats = {
           "Path Length": path.length,
-          "Starting Protein": targetProtein,
-          "Destination Protein": destinationProtein,
+          "Path Confidence": score.confidence.toFixed(3),
+          "Total Cost": score.cost.toFixed(3),
+          "Via Target": path[0],
+          [targetsKey]: drugTargetsStat,
+          "Destination Protein": destinationLabel,
           "Path Exists": true,
         };
-        resetGraphVisibility();
-        path.forEach((protein, index) =>
-          cy.$id(protein).style({
-            display: "element",
-            "background-color": index === 0 ? "#ff0000" : "#ffaaaa",
-            "border-color": "#ff0000",
-          })
-        );
-        for (let i = 0; i < path.length - 1; i++) {
-          cy.edges(`[source="${path[i]}"][target="${path[i + 1]}"]`).style({
-            display: "element",
-            "line-color": "#ff0000",
-          });
-        }
+        resultPaths = [best];
+        highlightPath(path);
+        highlightTargets(targetProteins);
       }
       break;
 
-    case "topological":
-      result = graph.topologicalSort();
-      const startIndex = result.indexOf(targetProtein);
-      const endIndex = result.indexOf(destinationProtein);
-      let relevantOrder =
-        startIndex !== -1
-          ? endIndex >= startIndex
-            ? result.slice(startIndex, endIndex + 1)
-            : result.slice(startIndex)
-          : result;
+    case "kshortest":
+      const k = Math.max(
+        1,
+        parseInt(document.getElementById("kPathsInput").value, 10) || 1
+      );
+      alternatives =
+        destinations.length > 1
+          ? alternativePathwaysToEach(graph, context, k, costModel)
+          : alternativePathways(graph, context, k, costModel);
+      resetGraphVisibility();
+      if (alternatives.length === 0) {
+        pathwayText = `No path exists from ${targetLabel} to ${destinationLabel}`;
+        stats = {
+          [targetsKey]: drugTargetsStat,
+          "Destination Protein": destinationLabel,
+          "Path Exists": false,
+        };
+        highlightTargets(targetProteins);
+      } else {
+        pathwayText =
+          (destinations.length > 1
+            ? `${alternatives.length} paths, up to ${k} to each of ${destinationLabel}, from ${targetLabel} (${costModelLabels[costModel]}).\n`
+            : `Top ${alternatives.length} of ${k} requested paths from ${targetLabel} to ${destinationProtein} (${costModelLabels[costModel]}).\n`) +
+          "Click a path to highlight it on the network.";
+        stats = {
+          "Paths Found": alternatives.length,
+          "Best Confidence": alternatives[0].confidence.toFixed(3),
+          [targetsKey]: drugTargetsStat,
+          "Destination Protein": destinationLabel,
+        };
+        resultPaths = alternatives;
+        highlightPath(alternatives[0].path);
+      }
+      break;
+
+    case "diffusion":
+      const restart = Number(document.getElementById("restartInput").value);
+      const diffusion = attempt(() =>
+        diffuseFromTargets(graph, context, { restart })
+      );
+      if (!diffusion) return;
+      const { seeds, influence, downstream, destinationRank } = diffusion;
+      const ranked = Object.entries(influence).sort((a, b) => b[1] - a[1]);
 
       pathwayText =
-        `Topological order from ${targetProtein} to ${destinationProtein}:\n` +
-        relevantOrder.join(" → ");
+        `Random walk with restart from ${targetLabel} (restart probability ${restart}):\n` +
+        "Most influenced downstream proteins: " +
+        downstream
+          .slice(0, 5)
+          .map(([p, score]) => `${p} (${score.toFixed(3)})`)
+          .join(", ");
       stats = {
-        "Total Proteins": result.length,
-        "Order Position (Target)": startIndex + 1,
-        "Order Position (Destination)": endIndex + 1,
-        "Proteins Between": relevantOrder.length - 1,
+        "Restart Probability": restart,
+        [targetsKey]: drugTargetsStat,
+        "Top Downstream Protein": downstream[0] ? downstream[0][0] : "—",
+        "Destination Rank": destinationRank
+          ? `${destinationRank} / ${downstream.length}`
+          : "—",
       };
-      resetGraphVisibility();
-      relevantOrder.forEach((protein, index) => {
-        const intensity = 1 - index * 0.1;
-        const color = `rgba(255, ${Math.floor(170 * intensity)}, ${Math.floor(
-          170 * intensity
-        )}, 1)`;
+      rankTable = {
+        rows: ranked.map(([protein, score]) => ({
+          protein,
+          role: protein in seeds ? "target" : "downstream",
+          score,
+        })),
+        columns: [
+          { key: "protein", label: "Protein" },
+          { key: "role", label: "Role" },
+          { key: "score", label: "Influence", format: (v) => v.toFixed(4) },
+        ],
+        options: {
+          onRowClick: ({ protein }) => {
+            cy.nodes().unselect();
+            cy.$id(protein).select();
+          },
+        },
+      };
+      result = influence;
+      applyHeatOverlay(influence);
+      highlightTargets(targetProteins);
+      break;
+
+    case "propagation":
+      const rule = document.getElementById("propagationRule").value;
+      const threshold = Number(
+        document.getElementById("propagationThreshold").value
+      );
+      const maxSteps = parseInt(
+        document.getElementById("propagationSteps").value,
+        10
+      );
+      const decay = document.getElementById("propagationDecay").checked;
+      const run = attempt(() =>
+        propagateFromTargets(graph, context, {
+          rule,
+          threshold,
+          decay,
+          steps: maxSteps,
+        })
+      );
+      if (!run) return;
+      const { frames, final, activatedAt, waves, steadyState } = run;
+
+      pathwayText =
+        `Propagation from ${targetLabel} (${rule} rule, threshold ${threshold}${
+          decay ? ", decaying by confidence" : ""
+        }):\n` +
+        waves
+          .map((proteins, t) => `Step ${t}: ${proteins.join(", ")}`)
+          .filter(Boolean)
+          .join("\n") +
+        (steadyState ? `\nSteady state after ${frames.length - 1} steps.` : "");
+      stats = {
+        "Steps Simulated": frames.length - 1,
+        "Proteins Activated": Object.keys(activatedAt).length,
+        "Destination Activation": (final[destinationProtein] || 0).toFixed(3),
+        "Destination Reached At":
+          destinationProtein in activatedAt
+            ? `step ${activatedAt[destinationProtein]}`
+            : "—",
+        [targetsKey]: drugTargetsStat,
+      };
+      chart = {
+        title: "Activation over time",
+        xLabel: "Step",
+        xMax: Math.max(frames.length - 1, 1),
+        series: [destinationProtein, ...targetProteins]
+          .filter((p) => p in final)
+          .slice(0, targetPalette.length)
+          .map((protein, i) => ({
+            label: protein,
+            color: targetPalette[i],
+            points: frames.map((frame, t) => [t, frame[protein]]),
+          })),
+      };
+      rankTable = {
+        rows: Object.keys(final)
+          .filter((protein) => final[protein] > 0)
+          .map((protein) => ({
+            protein,
+            step: protein in activatedAt ? activatedAt[protein] : "—",
+            activation: final[protein],
+          })),
+        columns: [
+          { key: "protein", label: "Protein" },
+          { key: "step", label: "Active From Step" },
+          {
+            key: "activation",
+            label: "Final Activation",
+            format: (v) => v.toFixed(3),
+          },
+        ],
+        options: {
+          onRowClick: ({ step }) => {
+            stopPlayback();
+            if (step !== "—") showFrame(step);
+          },
+        },
+      };
+      result = final;
+      simulation = {
+        frames,
+        seeds: targetProteins,
+        threshold,
+        step: 0,
+        timer: null,
+      };
+
+      cy.elements().style("display", "element");
+      document.getElementById("player").style.display = "flex";
+      document.getElementById("timelineSlider").max = frames.length - 1;
+      showFrame(0);
+      break;
+
+    case "signed":
+      const effects = signedEffects(graph, context, costModel);
+      const signedRows = effects.rows.map((row) => ({
+        ...row,
+        best: effectLabels[row.effect],
+      }));
+      const destinationRow = signedRows.find(
+        (r) => r.protein === destinationProtein
+      );
+      const arrow = (source, target) =>
+        ({ activation: " →+ ", inhibition: " →− " }[
+          (graph.getEdge(source, target) || {}).effect
+        ] || " →? ");
+      const annotate = (path) =>
+        path
+          .map((p, i) => (i === 0 ? p : `${arrow(path[i - 1], p)}${p}`))
+          .join("");
+      const { signedCount, edgeCount } = effects;
+
+      pathwayText =
+        `Net effect of ${drugInput || targetLabel} (${targets
+          .map((t) => `${t.action} of ${t.protein}`)
+          .join(", ")}):\n` +
+        (destinationRow
+          ? `${annotate(destinationRow.path)}\n` +
+            `${destinationProtein} is predicted ${destinationRow.best} along the best path; over all fully signed routes it is ${destinationRow.overall}.`
+          : `${destinationProtein} is not reached from ${targetLabel}.`) +
+        (signedCount === 0
+          ? "\n\nNo interaction in the network is signed yet, so every effect is unknown. Add activation/inhibition effects in Edit Network or import them."
+          : "");
+      stats = {
+        "Destination Effect": destinationRow ? destinationRow.best : "—",
+        "All Signed Routes": destinationRow ? destinationRow.overall : "—",
+        "Signed Interactions": `${signedCount} / ${edgeCount}`,
+        [targetsKey]: drugTargetsStat,
+        "Destination Protein": destinationLabel,
+      };
+      rankTable = {
+        rows: signedRows,
+        columns: [
+          { key: "protein", label: "Protein" },
+          { key: "best", label: "Best-Path Effect" },
+          { key: "overall", label: "All Signed Routes" },
+          { key: "hops", label: "Hops" },
+        ],
+        options: {
+          onRowClick: ({ path }) => {
+            cy.elements().style("display", "element");
+            highlightPath(path);
+            highlightTargets(targetProteins);
+          },
+        },
+      };
+      result = Object.fromEntries(
+        signedRows.map(({ protein, effect }) => [protein, effect])
+      );
+      resultPaths = destinationRow ? [{ path: destinationRow.path }] : [];
+
+      cy.elements().style("display", "element");
+      signedRows.forEach(({ protein, overall }) =>
         cy.$id(protein).style({
-          display: "element",
-          "background-color": color,
-          "border-color": "#ff0000",
-        });
+          "background-color": effectPalette[overall],
+          "border-color": "#4a5568",
+        })
+      );
+      highlightTargets(targetProteins);
+      break;
+
+    case "bottleneck":
+      if (!attempt(() => requireDestination(graph, context))) return;
+      const bottleneckReport = attempt(() => ({
+        ...bottlenecks(graph, targetProteins, destinationProtein),
+        children: graph.dominatorTree(targetProteins).children,
+        table: bottleneckTable(graph),
+      }));
+      if (!bottleneckReport) return;
+      const { chokepoints, value, cut, flows, children, table } =
+        bottleneckReport;
+
+      pathwayText =
+        `Bottlenecks from ${targetLabel} to ${destinationProtein}:\n` +
+        `Chokepoint proteins (on every route): ${
+          chokepoints.join(" → ") || "none"
+        }\n` +
+        `Minimum cut (${cut.length} interactions, capacity ${value.toFixed(
+          3
+        )}): ${
+          cut
+            .map((e) => `${e.source} → ${e.target} (${e.weight})`)
+            .join(", ") || "none — destination unreachable"
+        }\n\n` +
+        "Dominator tree:\n" +
+        Object.entries(children)
+          .filter(([, dominated]) => dominated.length > 0)
+          .map(([protein, dominated]) => `${protein} ⇒ ${dominated.join(", ")}`)
+          .join("\n");
+      stats = {
+        "Max Flow": value.toFixed(3),
+        "Cut Interactions": cut.length,
+        Chokepoints: chokepoints.length,
+        [targetsKey]: drugTargetsStat,
+        "Destination Protein": destinationLabel,
+      };
+      rankTable = {
+        rows: table.map((row) => ({
+          ...row,
+          chokepoints: row.chokepoints.join(", ") || "—",
+        })),
+        columns: [
+          { key: "drug", label: "Drug" },
+          { key: "destination", label: "Destination" },
+          { key: "chokepoints", label: "Chokepoints" },
+          { key: "cut", label: "Cut Size" },
+          { key: "flow", label: "Max Flow", format: (v) => v.toFixed(3) },
+        ],
+        options: {
+          onRowClick: ({ drug }) => {
+            document.getElementById("querySelect").value = "drug";
+            document.getElementById("destinationSelect").value = "drug";
+            document.getElementById("drugInput").value = drug;
+            updateQueryFields();
+            runAnalysis();
+          },
+        },
+      };
+      result = { chokepoints, cut, flows, value };
+      resultPaths = cut.map(({ source, target, weight }) => ({
+        path: [source, target],
+        confidence: weight,
+      }));
+
+      cy.elements().style("display", "element");
+      flows.forEach(({ source, target }) =>
+        cy
+          .edges(`[source="${source}"][target="${target}"]`)
+          .style({ "line-color": "#90cdf4", "target-arrow-color": "#90cdf4" })
+      );
+      cut.forEach(({ source, target }) =>
+        cy.edges(`[source="${source}"][target="${target}"]`).style({
+          "line-color": "#e53e3e",
+          "target-arrow-color": "#e53e3e",
+          width: 4,
+        })
+      );
+      chokepoints.forEach((p) =>
+        cy.$id(p).style({
+          "background-color": "#f6ad55",
+          "border-color": "#dd6b20",
+          "border-width": 4,
+          width: 40,
+          height: 40,
+        })
+      );
+      cy.$id(destinationProtein).style({
+        "background-color": "#ffaaaa",
+        "border-color": "#ff0000",
       });
-      for (let i = 0; i < relevantOrder.length - 1; i++) {
+      highlightTargets(targetProteins);
+      break;
+
+    case "knockout":
+      const knockedOut = document
+        .getElementById("knockoutInput")
+        .value.split(",")
+        .map((p) => p.trim())
+        .filter(Boolean);
+      const impact = await attemptInBackground(
+        "knockout",
+        { context, knockedOut, costModel },
+        "Knockout impact"
+      );
+      if (!impact) return;
+      const {
+        before,
+        after,
+        survivingTargets,
+        lost,
+        brokenRoutes,
+        essential,
+        status,
+      } = impact;
+
+      pathwayText =
+        `Knockout of ${knockedOut.join(", ")} (${
+          costModelLabels[costModel]
+        }):\n` +
+        `Before: ${before.path.join(" → ") || "no path"}\n` +
+        `After: ${after.path.join(" → ") || "no path"}\n\n` +
+        `Unreachable after knockout: ${lost.join(", ") || "none"}\n` +
+        `Broken routes: ${
+          brokenRoutes.map(({ path }) => path.join(" → ")).join("; ") || "none"
+        }\n` +
+        `Essential proteins on the original path: ${
+          essential.join(", ") || "none"
+        }`;
+      stats = {
+        "Path Status": status,
+        "Cost Change": Number.isFinite(after.cost - before.cost)
+          ? `+${(after.cost - before.cost).toFixed(3)}`
+          : "—",
+        "Proteins Lost": lost.length,
+        "Broken Routes": brokenRoutes.length,
+        [targetsKey]: drugTargetsStat,
+        "Destination Protein": destinationLabel,
+      };
+      resultPaths = [before, after].filter((p) => p.path.length > 0);
+
+      cy.elements().style("display", "element");
+      lost.forEach((p) =>
+        cy.$id(p).style({
+          "background-color": "#f6ad55",
+          "border-color": "#dd6b20",
+        })
+      );
+      for (let i = 0; i < before.path.length - 1; i++) {
         cy.edges(
-          `[source="${relevantOrder[i]}"][target="${relevantOrder[i + 1]}"]`
-        ).style({
-          display: "element",
-          "line-color": "#ff0000",
-        });
+          `[source="${before.path[i]}"][target="${before.path[i + 1]}"]`
+        ).style({ "line-color": "#f6ad55", "line-style": "dashed" });
+      }
+      after.path.forEach((p) =>
+        cy.$id(p).style({
+          "background-color": "#ffaaaa",
+          "border-color": "#ff0000",
+        })
+      );
+      for (let i = 0; i < after.path.length - 1; i++) {
+        cy.edges(
+          `[source="${after.path[i]}"][target="${after.path[i + 1]}"]`
+        ).style({ "line-color": "#ff0000" });
+      }
+      highlightTargets(survivingTargets);
+      knockedOut.forEach((p) =>
+        cy.$id(p).style({
+          "background-color": "#4a5568",
+          "border-color": "#1a202c",
+          opacity: 0.5,
+        })
+      );
+      cy.nodes()
+        .filter((n) => knockedOut.includes(n.id()))
+        .connectedEdges()
+        .style({ "line-style": "dotted", opacity: 0.4 });
+      break;
+
+    case "robustness":
+      const order = document.getElementById("robustnessOrder").value;
+      if (!attempt(() => requireDestination(graph, context))) return;
+      const sweep = await attemptInBackground(
+        "robustness",
+        { sources: targetProteins, destination: destinationProtein, order },
+        "Robustness sweep"
+      );
+      if (!sweep) return;
+      const breakStep = sweep.findIndex((step) => !step.connected);
+      const halfway = sweep[Math.floor((sweep.length - 1) / 2)];
+
+      pathwayText =
+        `Removing proteins in ${
+          order === "betweenness" ? "descending betweenness" : "random"
+        } order (targets and destination are kept):\n` +
+        (breakStep === -1
+          ? `${targetLabel} still reach ${destinationProtein} after every removal.`
+          : breakStep === 0
+          ? `${targetLabel} do not reach ${destinationProtein} even in the intact network.`
+          : `${targetLabel} lose ${destinationProtein} after removing ${breakStep} proteins: ${sweep[
+              breakStep
+            ].removed.join(", ")}`);
+      stats = {
+        "Removal Order": order,
+        "Removals Until Disconnected": breakStep === -1 ? "never" : breakStep,
+        "Largest Component at 50%": `${(halfway.largestComponent * 100).toFixed(
+          0
+        )}%`,
+        [targetsKey]: drugTargetsStat,
+        "Destination Protein": destinationLabel,
+      };
+      chart = {
+        title: "Network robustness",
+        xLabel: "Fraction of proteins removed",
+        series: [
+          {
+            label: "Target → destination path confidence",
+            color: "#e53e3e",
+            points: sweep.map((s) => [s.fractionRemoved, s.pathConfidence]),
+          },
+          {
+            label: "Largest component (fraction of proteins)",
+            color: "#5a67d8",
+            points: sweep.map((s) => [s.fractionRemoved, s.largestComponent]),
+          },
+        ],
+      };
+      rankTable = {
+        rows: sweep.slice(1).map((s, i) => ({
+          step: i + 1,
+          protein: s.removed[s.removed.length - 1],
+          confidence: s.pathConfidence,
+          component: s.largestComponent,
+        })),
+        columns: [
+          { key: "step", label: "Step" },
+          { key: "protein", label: "Removed" },
+          {
+            key: "confidence",
+            label: "Path Confidence",
+            format: (v) => v.toFixed(3),
+          },
+          {
+            key: "component",
+            label: "Largest Component",
+            format: (v) => `${(v * 100).toFixed(0)}%`,
+          },
+        ],
+      };
+      result = sweep;
+      cy.elements().style("display", "element");
+      if (breakStep > 0) {
+        sweep[breakStep].removed.forEach((p) =>
+          cy.$id(p).style({
+            "background-color": "#4a5568",
+            "border-color": "#1a202c",
+          })
+        );
+      }
+      highlightTargets(targetProteins);
+      break;
+
+    case "topological":
+      const ordering = attempt(() => cascadeOrder(graph, context));
+      if (!ordering) return;
+      const { cascade, loops, relevantOrder } = ordering;
+      const describeComponent = (c) =>
+        cascade.components[c].length > 1
+          ? `{${cascade.components[c].join(", ")}}`
+          : cascade.components[c][0];
+
+      pathwayText =
+        (cascade.acyclic
+          ? `Topological order from ${targetProtein} to ${destinationProtein}:\n`
+          : `No true topological order exists. Order of strongly connected components from ${targetProtein} to ${destinationProtein}:\n`) +
+        relevantOrder.map(describeComponent).join(" → ") +
+        loops
+          .map(
+            ({ members, loops: cycles, truncated }, i) =>
+              `\n\nFeedback component ${i + 1} (${members.length} proteins${
+                truncated ? `, first ${cycles.length} loops` : ""
+              }):\n` + cycles.map((c) => c.join(" → ")).join("\n")
+          )
+          .join("");
+      stats = {
+        "Total Proteins": Object.keys(graph.adjacencyList).length,
+        "Strongly Connected Components": cascade.components.length,
+        "Feedback Components": loops.length,
+        "Largest SCC": Math.max(...cascade.components.map((c) => c.length)),
+        "Components Between": Math.max(relevantOrder.length - 1, 0),
+      };
+      if (!cascade.acyclic) {
+        flashMessage(
+          "The network contains feedback loops, so no true topological order exists. Showing the order of its strongly connected components instead.",
+          "warning"
+        );
       }
+
+      const relevantProteins = new Set(
+        relevantOrder.flatMap((c) => cascade.components[c])
+      );
+      let paletteIndex = 0;
+      cascade.components.forEach((members, c) => {
+        const color =
+          members.length > 1
+            ? sccPalette[paletteIndex++ % sccPalette.length]
+            : "#cbd5e0";
+        members.forEach((protein) =>
+          cy.$id(protein).style({
+            display: "element",
+            "background-color": color,
+            "border-color": relevantProteins.has(protein) ? "#ff0000" : color,
+            "border-width": relevantProteins.has(protein) ? 4 : 2,
+          })
+        );
+        cy.edges()
+          .filter(
+            (e) =>
+              cascade.componentOf[e.source().id()] === c &&
+              cascade.componentOf[e.target().id()] === c
+          )
+          .style({ "line-color": color, "target-arrow-color": color });
+      });
+      cy.edges().style("display", "element");
+      resultPaths = relevantOrder.map((c) => ({
+        path: cascade.components[c],
+      }));
       break;
   }
 
+  lastResult = {
+    analysis: algorithm,
+    drug: drugInput,
+    costModel,
+    targets: targetProteins,
+    stats,
+    pathway: pathwayText,
+    paths: resultPaths,
+    values: ["diffusion", "signed", "propagation"].includes(algorithm)
+      ? result
+      : undefined,
+    frames: algorithm === "propagation" ? simulation.frames : undefined,
+    series: chart ? chart.series : undefined,
+  };
+
   document.getElementById("resultsPanel").style.display = "block";
   document.getElementById("pathwayResults").textContent = pathwayText;
-  document.getElementById("stats").innerHTML = Object.entries(stats)
-    .map(
-      ([key, value]) =>
-        `<div class="stat-card"><div class="value">${value}</div><div class="label">${key}</div></div>`
-    )
-    .join("");
+  renderPathList(alternatives);
+  renderRankTable(rankTable.rows, rankTable.columns, rankTable.options);
+  renderLineChart(chart);
+  renderStats(stats);
+  recordAnalysis();
 }
 // ---------------- Validate Graph ----------------
+function renderValidationReport(report, diagnostics) {
+  const panel = document.getElementById("validationReport");
+  const percent = (x) => `${(x * 100).toFixed(1)}%`;
+  const distribution = (counts) =>
+    Object.entries(counts)
+      .sort(([a], [b]) => a - b)
+      .map(([degree, count]) => `${degree}: ${"▇".repeat(count)} ${count}`)
+      .join("\n");
+
+  panel.style.display = "block";
+  panel.innerHTML =
+    `<h4>Havel–Hakimi Validation</h4>` +
+    `<p class="${report.valid ? "info" : "error"}">${
+      report.valid ? "Valid" : `Failed rule: <strong>${report.rule}</strong>`
+    } — ${escapeHtml(report.message)}</p>` +
+    `<h4>Diagnostics</h4>` +
+    `<div class="stats">${Object.entries({
+      Proteins: diagnostics.nodes,
+      Interactions: diagnostics.edges,
+      Density: percent(diagnostics.density),
+      Reciprocity: percent(diagnostics.reciprocity),
+      "Weak Components": diagnostics.weakComponents,
+      "Strong Components": diagnostics.strongComponents,
+      "Largest SCC": diagnostics.largestStrongComponent,
+    })
+      .map(
+        ([key, value]) =>
+          `<div class="stat-card"><div class="value">${value}</div><div class="label">${key}</div></div>`
+      )
+      .join("")}</div>` +
+    `<p>${
+      diagnostics.stronglyConnected
+        ? "Strongly connected"
+        : diagnostics.weaklyConnected
+        ? "Weakly but not strongly connected"
+        : "Disconnected"
+    }</p>` +
+    `<h5>Out-degree distribution</h5><pre>${distribution(
+      diagnostics.outDegreeDistribution
+    )}</pre>` +
+    `<h5>In-degree distribution</h5><pre>${distribution(
+      diagnostics.inDegreeDistribution
+    )}</pre>`;
+}
+
 function validateGraph() {
   try {
-    if (graph.isValidDigraph()) {
+    const report = graph.validateDigraph();
+    renderValidationReport(report, graph.diagnostics());
+
+    resetOverlays();
+    cy.nodes().style({
+      "background-color": "#97c2fc",
+      "border-color": "#2b7ce9",
+    });
+    cy.edges().removeStyle("line-color target-arrow-color");
+
+    if (report.valid) {
       flashMessage(" Graph is valid according to Havel–Hakimi.");
-      // Optional: highlight all nodes in normal style
-      cy.nodes().style({
-        "background-color": "#97c2fc",
-        "border-color": "#2b7ce9",
-      });
-      cy.edges().style({
-        "line-color": "#848484",
-        "target-arrow-color": "#848484",
-      });
       return true;
-    } else {
-      flashMessage(" Graph is invalid according to Havel–Hakimi.", "error");
-      // Optional: highlight all nodes in red to indicate invalidity
-      cy.nodes().style({
-        "background-color": "#ff7f7f",
-        "border-color": "#ff0000",
-      });
-      cy.edges().style({
-        "line-color": "#ff0000",
-        "target-arrow-color": "#ff0000",
-      });
-      return false;
     }
+
+    flashMessage(
+      ` Graph is invalid according to Havel–Hakimi: ${report.message}`,
+      "error"
+    );
+    // Highlight the offending proteins, or everything when the failure is
+    // global (sum balance)
+    const offending = (report.details.nodes || []).map((d) => d.node || d);
+    const culprits = offending.length
+      ? cy.nodes().filter((n) => offending.includes(n.id()))
+      : cy.nodes();
+    culprits.style({
+      "background-color": "#ff7f7f",
+      "border-color": "#ff0000",
+    });
+    return false;
   } catch (err) {
     flashMessage(`Error validating graph: ${err.message}`, "error");
     return false;
   }
 }
-function analyzeBetweennessCentrality() {
-  if (!cy) return flashMessage("Network not initialized", "error");
+// ---------------- Data Integrity ----------------
+const severityOrder = ["error", "warning", "info"];
 
-  // Compute betweenness centrality
-  const BC = graph.betweennessCentralityDirected();
+function checkData() {
+  // The live network, plus the rows dropped when it was loaded
+  const issues = [
+    ...loadIssues,
+    ...checkDataIntegrity({ graph, ...getDrugTables() }),
+  ];
+  const report = document.getElementById("integrityReport");
+  report.style.display = "block";
 
-  // Display results panel
-  document.getElementById("resultsPanel").style.display = "block";
-  document.getElementById("pathwayResults").textContent =
-    "Betweenness centrality of each protein:";
-  document.getElementById("stats").innerHTML = Object.entries(BC)
-    .map(
-      ([node, value]) =>
-        `<div class="stat-card"><div class="value">${value.toFixed(
-          2
-        )}</div><div class="label">${node}</div></div>`
-    )
-    .join("");
+  if (issues.length === 0) {
+    report.innerHTML = "<h4>Data Check</h4><p>No problems found.</p>";
+    return flashMessage(
+      " Drug, destination and interaction data are consistent."
+    );
+  }
 
-  const maxVal = Math.max(...Object.values(BC));
-  cy.nodes().forEach((n) => {
-    const val = BC[n.id()] || 0;
-    const ratio = maxVal ? val / maxVal : 0; // scale 0 → 1
-    const r = Math.floor(128 + (255 - 128) * ratio); // 128 → 255
+  const counts = severityOrder
+    .map((severity) => {
+      const n = issues.filter((i) => i.severity === severity).length;
+      return n ? `${n} ${severity}${n > 1 ? "s" : ""}` : "";
+    })
+    .filter(Boolean)
+    .join(", ");
+  report.innerHTML =
+    `<h4>Data Check</h4><p>${counts}</p><ul>` +
+    [...issues]
+      .sort(
+        (a, b) =>
+          severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity)
+      )
+      .map(
+        (issue) =>
+          `<li class="${issue.severity}"><strong>${escapeHtml(
+            issue.category
+          )}:</strong> ${escapeHtml(issue.message)}${
+            issue.suggestion
+              ? ` <em>(did you mean ${escapeHtml(issue.suggestion)}?)</em>`
+              : ""
+          }</li>`
+      )
+      .join("") +
+    "</ul>";
+
+  const flagged = new Set(issues.flatMap((i) => i.proteins));
+  cy.nodes().forEach((n) =>
+    n.style(
+      flagged.has(n.id())
+        ? { "background-color": "#f6ad55", "border-color": "#dd6b20" }
+        : { "background-color": "#97c2fc", "border-color": "#2b7ce9" }
+    )
+  );
+  flashMessage(`Data check found ${counts}`, "warning");
+}
+
+// Colours (purple → orange) and sizes nodes by a 0 → max score
+function applyScoreOverlay(scores) {
+  const maxVal = Math.max(...Object.values(scores));
+  cy.nodes().forEach((n) => {
+    const val = scores[n.id()] || 0;
+    const ratio = maxVal ? val / maxVal : 0; // scale 0 → 1
+    const r = Math.floor(128 + (255 - 128) * ratio); // 128 → 255
     const g = Math.floor(0 + (140 - 0) * ratio); // 0 → 140
     const b = Math.floor(128 - 128 * ratio); // 128 → 0
 
     n.style({
+      display: "element",
       "background-color": `rgb(${r},${g},${b})`,
       "border-color": "#333",
+      "border-width": 2,
+      width: 20 + 40 * ratio,
+      height: 20 + 40 * ratio,
+    });
+  });
+  cy.edges().style("display", "element");
+}
+
+// Heat map (pale yellow → red) for influence scores; log-scaled because
+// diffusion scores fall off by orders of magnitude
+function applyHeatOverlay(scores) {
+  const values = Object.values(scores).filter((v) => v > 0);
+  const max = Math.log(Math.max(...values));
+  const min = Math.log(Math.min(...values));
+  cy.nodes().forEach((n) => {
+    const val = scores[n.id()] || 0;
+    const ratio =
+      val > 0 && max > min ? (Math.log(val) - min) / (max - min) : 0;
+    const g = Math.floor(240 - 200 * ratio); // 240 → 40
+    const b = Math.floor(160 - 140 * ratio); // 160 → 20
+
+    n.style({
+      display: "element",
+      "background-color": `rgb(255,${g},${b})`,
+      "border-color": "#9b2c2c",
+      "border-width": 2,
+      width: 20 + 40 * ratio,
+      height: 20 + 40 * ratio,
+    });
+  });
+  cy.edges().style("display", "element");
+}
+
+// ---------------- Propagation Playback ----------------
+// The frames of the last propagation run, the step on show and the timer
+// while playing.
+let simulation = null;
+
+function stopPlayback() {
+  if (simulation && simulation.timer) {
+    clearInterval(simulation.timer);
+    simulation.timer = null;
+  }
+  document.getElementById("playBtn").innerHTML =
+    '<i class="fa-solid fa-play"></i>';
+}
+
+function showFrame(step) {
+  if (!simulation) return;
+  const { frames, seeds, threshold } = simulation;
+  const frame = frames[step];
+  simulation.step = step;
+  cy.nodes(":childless").forEach((n) => {
+    const activation = frame[n.id()] || 0;
+    n.style(
+      activation > 0
+        ? {
+            "background-color": `rgb(255,${Math.floor(
+              240 - 200 * activation
+            )},${Math.floor(160 - 140 * activation)})`,
+            "border-color": "#9b2c2c",
+            "border-width": seeds.includes(n.id()) ? 4 : 2,
+            width: 30 + 20 * activation,
+            height: 30 + 20 * activation,
+          }
+        : {
+            "background-color": "#97c2fc",
+            "border-color": "#2b7ce9",
+            "border-width": 2,
+            width: 30,
+            height: 30,
+          }
+    );
+  });
+  document.getElementById("timelineSlider").value = step;
+  document.getElementById("timelineLabel").textContent = `Step ${step} / ${
+    frames.length - 1
+  } · ${Object.values(frame).filter((a) => a >= threshold).length} active`;
+}
+
+function stepPlayback() {
+  if (!simulation) return;
+  if (simulation.step >= simulation.frames.length - 1) return stopPlayback();
+  showFrame(simulation.step + 1);
+}
+
+function togglePlayback() {
+  if (!simulation) return;
+  if (simulation.timer) return stopPlayback();
+  if (simulation.step >= simulation.frames.length - 1) showFrame(0);
+  simulation.timer = setInterval(stepPlayback, 700);
+  document.getElementById("playBtn").innerHTML =
+    '<i class="fa-solid fa-pause"></i>';
+}
+
+// ---------------- Line Chart ----------------
+// Inline SVG chart of { title, xLabel, xMax?, series: [{ label, color,
+// points }] }. The y axis runs 0–1, the x axis 0–xMax (default 1). Passing
+// null clears it.
+function renderLineChart(chart) {
+  const container = document.getElementById("chart");
+  container.innerHTML = "";
+  if (!chart) return;
+  const xMax = chart.xMax || 1;
+
+  const width = 320,
+    height = 180,
+    pad = 30;
+  const x = (v) => pad + (v / xMax) * (width - 2 * pad);
+  const y = (v) => height - pad - v * (height - 2 * pad);
+  const lines = chart.series
+    .map(
+      ({ color, points }) =>
+        `<polyline fill="none" stroke="${color}" stroke-width="2" points="${points
+          .map(([px, py]) => `${x(px).toFixed(1)},${y(py).toFixed(1)}`)
+          .join(" ")}"/>`
+    )
+    .join("");
+  const axes =
+    `<line x1="${x(0)}" y1="${y(0)}" x2="${x(xMax)}" y2="${y(
+      0
+    )}" stroke="#4a5568"/>` +
+    `<line x1="${x(0)}" y1="${y(0)}" x2="${x(0)}" y2="${y(
+      1
+    )}" stroke="#4a5568"/>` +
+    [0, 0.5, 1]
+      .map(
+        (t) =>
+          `<text x="${x(t * xMax)}" y="${y(0) + 14}" text-anchor="middle">${
+            t * xMax
+          }</text>` +
+          `<text x="${x(0) - 6}" y="${y(t) + 4}" text-anchor="end">${t}</text>`
+      )
+      .join("") +
+    `<text x="${width / 2}" y="${height - 2}" text-anchor="middle">${escapeHtml(
+      chart.xLabel
+    )}</text>`;
+  const legend = chart.series
+    .map(
+      ({ label, color }) =>
+        `<li><span class="swatch" style="background:${color}"></span>${escapeHtml(
+          label
+        )}</li>`
+    )
+    .join("");
+
+  container.innerHTML =
+    `<h4>${escapeHtml(chart.title)}</h4>` +
+    `<svg viewBox="0 0 ${width} ${height}" role="img">${axes}${lines}</svg>` +
+    `<ul class="chart-legend">${legend}</ul>`;
+}
+
+// ---------------- Ranked Table ----------------
+// Sortable results table. `columns` are { key, label, format? }; clicking a
+// header sorts by it, clicking a row calls `onRowClick(row)`.
+function renderRankTable(rows = [], columns = [], { onRowClick } = {}) {
+  const container = document.getElementById("rankTable");
+  container.innerHTML = "";
+  if (rows.length === 0) return;
+
+  let sortKey = columns[columns.length - 1].key;
+  let descending = true;
+
+  const draw = () => {
+    const sorted = [...rows].sort((a, b) => {
+      const order =
+        typeof a[sortKey] === "number"
+          ? a[sortKey] - b[sortKey]
+          : String(a[sortKey]).localeCompare(String(b[sortKey]));
+      return descending ? -order : order;
+    });
+    const table = document.createElement("table");
+    table.innerHTML =
+      `<thead><tr><th>#</th>${columns
+        .map(
+          ({ key, label }) =>
+            `<th data-key="${key}">${label}${
+              key === sortKey ? (descending ? " ▼" : " ▲") : ""
+            }</th>`
+        )
+        .join("")}</tr></thead>` +
+      `<tbody>${sorted
+        .map(
+          (row, i) =>
+            `<tr data-index="${rows.indexOf(row)}"><td>${i + 1}</td>${columns
+              .map(
+                ({ key, format }) =>
+                  `<td>${escapeHtml(format ? format(row[key]) : row[key])}</td>`
+              )
+              .join("")}</tr>`
+        )
+        .join("")}</tbody>`;
+
+    table.querySelectorAll("th[data-key]").forEach((th) =>
+      th.addEventListener("click", () => {
+        descending = th.dataset.key === sortKey ? !descending : true;
+        sortKey = th.dataset.key;
+        draw();
+      })
+    );
+    if (onRowClick) {
+      table.classList.add("clickable");
+      table.querySelectorAll("tbody tr").forEach((tr) =>
+        tr.addEventListener("click", () => {
+          table
+            .querySelectorAll("tr.active")
+            .forEach((r) => r.classList.remove("active"));
+          tr.classList.add("active");
+          onRowClick(rows[tr.dataset.index]);
+        })
+      );
+    }
+    container.innerHTML = "";
+    container.appendChild(table);
+  };
+
+  draw();
+}
+
+async function analyzeCentrality() {
+  if (!cy) return flashMessage("Network not initialized", "error");
+  resetOverlays();
+
+  const metric = document.getElementById("centralitySelect").value;
+  const normalization = document.getElementById("normalizationSelect").value;
+  const weighted = document.getElementById("weightedCentrality").checked;
+  const { label } = centralityMetrics[metric];
+
+  // With a known drug entered, betweenness only counts shortest paths
+  // leaving its targets
+  const { drug } = resolveDrugName(document.getElementById("drugInput").value);
+  const targetProteins = getDrugTargets(drug)
+    .map((t) => t.protein)
+    .filter((protein) => graph.adjacencyList[protein]);
+  const fromTargets = metric === "betweenness" && targetProteins.length > 0;
+
+  const title = `${weighted ? "Weighted " : ""}${label} centrality`;
+  let scores;
+  try {
+    scores = await runInBackground(
+      "centrality",
+      {
+        metric,
+        weighted,
+        normalization,
+        sources: fromTargets ? targetProteins : undefined,
+      },
+      title
+    );
+  } catch (err) {
+    return flashMessage(err.message, "error");
+  }
+  if (!scores) return;
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+
+  // Display results panel
+  document.getElementById("resultsPanel").style.display = "block";
+  document.getElementById("pathwayResults").textContent = fromTargets
+    ? `${title} of each protein from ${drug}'s targets (${targetProteins.join(
+        ", "
+      )}):`
+    : `${title} of each protein:`;
+  renderPathList();
+  renderLineChart(null);
+  renderStats({
+    "Top Protein": ranked[0] ? ranked[0][0] : "—",
+    "Top Score": ranked[0] ? ranked[0][1].toFixed(3) : "—",
+    Normalization: normalization,
+  });
+  renderRankTable(
+    ranked.map(([protein, score]) => ({ protein, score })),
+    [
+      { key: "protein", label: "Protein" },
+      { key: "score", label: label, format: (v) => v.toFixed(4) },
+    ],
+    {
+      onRowClick: ({ protein }) => {
+        cy.nodes().unselect();
+        cy.$id(protein).select();
+      },
+    }
+  );
+
+  leaveAnalysisLink();
+  lastResult = {
+    analysis: metric,
+    drug: fromTargets ? drug : undefined,
+    stats: { weighted, normalization },
+    values: scores,
+  };
+
+  applyScoreOverlay(scores);
+  flashMessage(` ${title} computed successfully.`);
+}
+
+// ---------------- Pathway Modules ----------------
+// Communities are drawn as compound parent nodes; they are removed again
+// before any other analysis restyles the network.
+function clearModules() {
+  if (!cy) return;
+  const parents = cy.nodes(".module");
+  if (parents.empty()) return;
+  parents.children().move({ parent: null });
+  parents.remove();
+}
+
+// Removes module groupings and stops any propagation playback before an
+// analysis restyles the network
+function resetOverlays() {
+  cancelBackgroundTask();
+  clearModules();
+  stopPlayback();
+  document.getElementById("player").style.display = "none";
+}
+
+// Nothing shown or recorded for a network applies once it is replaced (an
+// import or a workspace switch): results, overlays, the analysis link and
+// the edit history are cleared
+function resetForNewNetwork() {
+  resetOverlays();
+  lastResult = null;
+  linkedAnalysis = null;
+  editHistory.clear();
+  updateHistoryButtons();
+  document.getElementById("resultsPanel").style.display = "none";
+}
+
+function detectModules() {
+  if (!cy) return flashMessage("Network not initialized", "error");
+  resetOverlays();
+
+  const { modules, moduleOf, modularity } = graph.communities();
+  const internal = modules.map(() => ({}));
+  const between = {};
+  for (const source in graph.adjacencyList) {
+    graph.adjacencyList[source].forEach(({ node }) => {
+      const [a, b] = [moduleOf[source], moduleOf[node]];
+      if (a === b) {
+        internal[a][source] = (internal[a][source] || 0) + 1;
+        internal[a][node] = (internal[a][node] || 0) + 1;
+      } else {
+        between[`${a}->${b}`] = (between[`${a}->${b}`] || 0) + 1;
+      }
+    });
+  }
+  // Each module is named after its best-connected member
+  const labels = modules.map((members, i) => {
+    const [hub] = [...members].sort(
+      (a, b) => (internal[i][b] || 0) - (internal[i][a] || 0)
+    );
+    return `Module ${i + 1} (${hub})`;
+  });
+  const drugsIn = modules.map(() => []);
+  Object.keys(getDrugTables().drugs).forEach((drug) =>
+    getDrugTargets(drug)
+      .filter(({ protein }) => protein in moduleOf)
+      .forEach(({ protein }) =>
+        drugsIn[moduleOf[protein]].push(`${drug} (${protein})`)
+      )
+  );
+
+  document.getElementById("resultsPanel").style.display = "block";
+  document.getElementById("pathwayResults").textContent =
+    `${modules.length} modules found by Louvain modularity optimisation.\n` +
+    "Interactions between modules:\n" +
+    (Object.entries(between)
+      .sort((a, b) => b[1] - a[1])
+      .map(([key, count]) => {
+        const [a, b] = key.split("->");
+        return `${labels[a]} → ${labels[b]}: ${count}`;
+      })
+      .join("\n") || "none");
+  renderPathList();
+  renderLineChart(null);
+  renderStats({
+    Modules: modules.length,
+    Modularity: modularity.toFixed(3),
+    "Largest Module": modules[0] ? modules[0].length : 0,
+  });
+  renderRankTable(
+    modules.map((members, i) => ({
+      module: labels[i],
+      members: members.join(", "),
+      drugTargets: drugsIn[i].join(", ") || "—",
+      outgoing: Object.entries(between)
+        .filter(([key]) => key.startsWith(`${i}->`))
+        .reduce((sum, [, count]) => sum + count, 0),
+      size: members.length,
+    })),
+    [
+      { key: "module", label: "Module" },
+      { key: "members", label: "Members" },
+      { key: "drugTargets", label: "Drug Targets" },
+      { key: "outgoing", label: "Edges to Other Modules" },
+      { key: "size", label: "Size" },
+    ],
+    {
+      onRowClick: ({ module }) => {
+        cy.nodes().unselect();
+        cy.$id(`module-${labels.indexOf(module)}`).select();
+      },
+    }
+  );
+
+  leaveAnalysisLink();
+  lastResult = {
+    analysis: "modules",
+    stats: { modules: modules.length, modularity },
+    paths: modules.map((members) => ({ path: members })),
+    values: moduleOf,
+  };
+
+  cy.elements().style("display", "element");
+  cy.add(
+    modules.map((_, i) => ({
+      group: "nodes",
+      data: { id: `module-${i}`, label: labels[i] },
+      classes: "module",
+    }))
+  );
+  modules.forEach((members, i) => {
+    const color = sccPalette[i % sccPalette.length];
+    cy.$id(`module-${i}`).style({
+      "background-color": color,
+      "background-opacity": 0.15,
+      "border-color": color,
+      "text-valign": "top",
     });
+    members.forEach((protein) =>
+      cy
+        .$id(protein)
+        .move({ parent: `module-${i}` })
+        .style({
+          "background-color": color,
+          "border-color": "#4a5568",
+        })
+    );
+  });
+  cy.layout({ name: "cose", animate: true }).run();
+  flashMessage(`${modules.length} pathway modules found.`);
+}
+
+// ---------------- Drug Combination ----------------
+// Links every drug's targets and destination through an approximate
+// Steiner tree and shows that subnetwork on its own.
+function analyzeCombination() {
+  if (!cy) return flashMessage("Network not initialized", "error");
+  resetOverlays();
+
+  const lookups = document
+    .getElementById("combinationInput")
+    .value.split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => ({ name, ...resolveDrugName(name) }));
+  const unknown = lookups.filter(({ drug }) => !drug);
+  if (unknown.length > 0)
+    return flashMessage(
+      unknown
+        .map(
+          ({ name, suggestions }) =>
+            `Drug ${name} not found${didYouMean(suggestions)}`
+        )
+        .join(" "),
+      "error"
+    );
+  const drugs = [...new Set(lookups.map(({ drug }) => drug))];
+  if (drugs.length < 2)
+    return flashMessage("Enter at least two drugs to combine", "error");
+
+  const costModel = document.getElementById("costModelSelect").value;
+  const roles = {};
+  const addRole = (protein, role) => {
+    if (protein) (roles[protein] = roles[protein] || []).push(role);
+  };
+  drugs.forEach((drug) => {
+    getDrugTargets(drug).forEach(({ protein }) =>
+      addRole(protein, `${drug} target`)
+    );
+    addRole(getDrugDestination(drug), `${drug} destination`);
+  });
+  const terminals = Object.keys(roles);
+  const tree = graph.steinerTree(terminals, costModel);
+  tree.connectors.forEach((p) => addRole(p, "connector"));
+
+  const degree = {};
+  tree.edges.forEach(({ source, target }) => {
+    degree[source] = (degree[source] || 0) + 1;
+    degree[target] = (degree[target] || 0) + 1;
+  });
+
+  document.getElementById("resultsPanel").style.display = "block";
+  document.getElementById("pathwayResults").textContent =
+    `Subnetwork linking ${drugs.join(" + ")} (${
+      costModelLabels[costModel]
+    }):\n` +
+    `Connector proteins: ${tree.connectors.join(", ") || "none"}\n` +
+    tree.edges
+      .map((e) => `${e.source} → ${e.target}: confidence ${e.weight}`)
+      .join("\n") +
+    (tree.unreachable.length
+      ? `\n\nCould not be linked: ${tree.unreachable.join(", ")}`
+      : "");
+  renderPathList();
+  renderLineChart(null);
+  renderStats({
+    "Combined Confidence": tree.confidence.toFixed(3),
+    "Total Cost": tree.cost.toFixed(3),
+    "Connector Proteins": tree.connectors.length,
+    "Subnetwork Size": `${tree.nodes.length} proteins / ${tree.edges.length} interactions`,
+  });
+  renderRankTable(
+    tree.nodes.map((protein) => ({
+      protein,
+      role: roles[protein].join(", "),
+      degree: degree[protein] || 0,
+    })),
+    [
+      { key: "protein", label: "Protein" },
+      { key: "role", label: "Role" },
+      { key: "degree", label: "Links in Subnetwork" },
+    ],
+    {
+      onRowClick: ({ protein }) => {
+        cy.nodes().unselect();
+        cy.$id(protein).select();
+      },
+    }
+  );
+
+  leaveAnalysisLink();
+  lastResult = {
+    analysis: "combination",
+    drug: drugs.join(" + "),
+    costModel,
+    stats: {
+      connectors: tree.connectors.join(" "),
+      cost: tree.cost,
+      confidence: tree.confidence,
+      unreachable: tree.unreachable.join(" "),
+    },
+    paths: tree.edges.map(({ source, target, weight }) => ({
+      path: [source, target],
+      confidence: weight,
+    })),
+  };
+
+  // Only the subnetwork stays visible; terminals take their drug's colour
+  resetGraphVisibility();
+  tree.nodes.forEach((p) =>
+    cy.$id(p).style({
+      display: "element",
+      "background-color": "#f6ad55",
+      "border-color": "#dd6b20",
+      "border-width": 2,
+    })
+  );
+  tree.edges.forEach(({ source, target }) =>
+    cy.edges(`[source="${source}"][target="${target}"]`).style({
+      display: "element",
+      "line-color": "#dd6b20",
+      "target-arrow-color": "#dd6b20",
+    })
+  );
+  drugs.forEach((drug, i) =>
+    terminals
+      .filter((p) => roles[p].some((role) => role.startsWith(`${drug} `)))
+      .filter((p) => tree.nodes.includes(p))
+      .forEach((p) =>
+        cy.$id(p).style({
+          "background-color": targetPalette[i % targetPalette.length],
+          "border-color": "#333",
+          "border-width": 4,
+        })
+      )
+  );
+  cy.fit(cy.elements(":visible"), 40);
+}
+
+// ---------------- Drug Repurposing ----------------
+// Reverse search: starts from a protein of interest rather than a drug and
+// ranks every drug by how well its targets reach it.
+function rankDrugsForProtein() {
+  if (!cy) return flashMessage("Network not initialized", "error");
+  resetOverlays();
+
+  const protein = document.getElementById("repurposeInput").value.trim();
+  if (!protein) return flashMessage("Please enter a protein", "error");
+  if (!graph.adjacencyList[protein])
+    return flashMessage(`Protein ${protein} is not in the network`, "error");
+
+  const ranked = rankDrugsByProximity(graph, protein);
+  const showPathway = ({ drug, path }) => {
+    cy.nodes().style({
+      "background-color": "#97c2fc",
+      "border-color": "#2b7ce9",
+    });
+    cy.edges().removeStyle("line-color target-arrow-color");
+    highlightPath(path);
+    highlightTargets(getDrugTargets(drug).map((t) => t.protein));
+  };
+
+  document.getElementById("resultsPanel").style.display = "block";
+  document.getElementById("pathwayResults").textContent = ranked.length
+    ? `Drugs ranked by network proximity to ${protein}. Score combines the best pathway's confidence (including target affinity) with the number of edge-disjoint routes. Click a drug to highlight its best pathway.`
+    : `No drug in the table reaches ${protein}.`;
+  renderPathList();
+  renderLineChart(null);
+  renderStats({
+    "Protein of Interest": protein,
+    "Drugs Reaching It": ranked.length,
+    "Closest Drug": ranked[0] ? ranked[0].drug : "—",
+  });
+  renderRankTable(
+    ranked.map((row) => ({ ...row, pathway: row.path.join(" → ") })),
+    [
+      { key: "drug", label: "Drug" },
+      { key: "pathway", label: "Best Pathway" },
+      { key: "hops", label: "Hops" },
+      {
+        key: "confidence",
+        label: "Confidence",
+        format: (v) => v.toFixed(3),
+      },
+      { key: "routes", label: "Independent Routes" },
+      { key: "score", label: "Score", format: (v) => v.toFixed(4) },
+    ],
+    { onRowClick: showPathway }
+  );
+
+  leaveAnalysisLink();
+  lastResult = {
+    analysis: "repurposing",
+    stats: { protein },
+    paths: ranked.map(({ path, confidence }) => ({ path, confidence })),
+    values: Object.fromEntries(ranked.map(({ drug, score }) => [drug, score])),
+  };
+
+  if (ranked[0]) showPathway(ranked[0]);
+  cy.$id(protein).style({
+    display: "element",
+    "background-color": "#f6ad55",
+    "border-color": "#dd6b20",
+  });
+}
+
+// ---------------- Drug Comparison ----------------
+const comparePalette = { a: "#3182ce", b: "#38a169", both: "#805ad5" };
+const reachedPalette = { a: "#bee3f8", b: "#c6f6d5", both: "#e9d8fd" };
+
+function compareDrugFootprints() {
+  if (!cy) return flashMessage("Network not initialized", "error");
+  resetOverlays();
+
+  const drugA = readDrug("drugInput");
+  const drugB = drugA && readDrug("compareDrugInput");
+  if (!drugA || !drugB) return;
+
+  const costModel = document.getElementById("costModelSelect").value;
+  const comparison = compareDrugs(graph, drugA, drugB, costModel);
+  const { a, b, reached, pathways } = comparison;
+  const side = (protein, { shared, onlyA, onlyB }) =>
+    shared.includes(protein)
+      ? "both"
+      : onlyA.includes(protein)
+      ? drugA
+      : onlyB.includes(protein)
+      ? drugB
+      : "—";
+  const percent = (x) => `${(x * 100).toFixed(0)}%`;
+
+  document.getElementById("resultsPanel").style.display = "block";
+  document.getElementById("pathwayResults").textContent =
+    `${drugA} vs ${drugB} (${costModelLabels[costModel]}):\n` +
+    `${drugA}: ${a.pathway.join(" → ") || "no pathway"}\n` +
+    `${drugB}: ${b.pathway.join(" → ") || "no pathway"}\n\n` +
+    `Shared targets: ${comparison.sharedTargets.join(", ") || "none"}\n` +
+    `Shared intermediates: ${
+      comparison.sharedIntermediates.join(", ") || "none"
+    }\n` +
+    `Reached only by ${drugA}: ${reached.onlyA.join(", ") || "none"}\n` +
+    `Reached only by ${drugB}: ${reached.onlyB.join(", ") || "none"}`;
+  renderPathList();
+  renderLineChart(null);
+  renderStats({
+    "Footprint Overlap (Jaccard)": percent(reached.jaccard),
+    "Pathway Overlap (Jaccard)": percent(pathways.jaccard),
+    "Shared Intermediates": comparison.sharedIntermediates.length,
+    "Target Distance": Number.isFinite(comparison.targetDistance)
+      ? `${comparison.targetDistance} hops`
+      : "unreachable",
   });
+  renderRankTable(
+    [...new Set([...a.reached, ...b.reached])].map((protein) => ({
+      protein,
+      reachedBy: side(protein, reached),
+      pathway: side(protein, pathways),
+    })),
+    [
+      { key: "protein", label: "Protein" },
+      { key: "reachedBy", label: "Reached By" },
+      { key: "pathway", label: "On Pathway Of" },
+    ],
+    {
+      onRowClick: ({ protein }) => {
+        cy.nodes().unselect();
+        cy.$id(protein).select();
+      },
+    }
+  );
 
-  flashMessage(" Betweenness centrality computed successfully.");
+  leaveAnalysisLink();
+  lastResult = {
+    analysis: "comparison",
+    drug: `${drugA} vs ${drugB}`,
+    costModel,
+    stats: {
+      reachedJaccard: reached.jaccard,
+      pathwayJaccard: pathways.jaccard,
+      sharedTargets: comparison.sharedTargets.join(" "),
+      sharedIntermediates: comparison.sharedIntermediates.join(" "),
+      targetDistance: comparison.targetDistance,
+    },
+    paths: [a, b]
+      .filter((f) => f.pathway.length > 0)
+      .map((f) => ({ path: f.pathway })),
+  };
+
+  // Proteins on a pathway take their drug's colour, proteins only reached
+  // a paler tint of it, and each pathway's interactions are drawn likewise
+  const paletteKey = (owner) =>
+    owner === "both" ? "both" : owner === drugA ? "a" : "b";
+  cy.elements().style("display", "element");
+  cy.nodes().forEach((n) => {
+    const onPathway = side(n.id(), pathways);
+    const owner = side(n.id(), reached);
+    n.style({
+      "background-color":
+        onPathway !== "—"
+          ? comparePalette[paletteKey(onPathway)]
+          : owner !== "—"
+          ? reachedPalette[paletteKey(owner)]
+          : "#e2e8f0",
+      "border-color": "#4a5568",
+      "border-width": 2,
+      width: 30,
+      height: 30,
+    });
+  });
+  cy.edges().style({
+    "line-color": "#cbd5e0",
+    "target-arrow-color": "#cbd5e0",
+    width: 2,
+  });
+  const pathwayEdges = (path) =>
+    path.slice(0, -1).map((p, i) => `${p}->${path[i + 1]}`);
+  const edgesA = pathwayEdges(a.pathway);
+  const edgesB = pathwayEdges(b.pathway);
+  new Set([...edgesA, ...edgesB]).forEach((key) => {
+    const [source, target] = key.split("->");
+    const color =
+      comparePalette[
+        edgesA.includes(key) && edgesB.includes(key)
+          ? "both"
+          : edgesA.includes(key)
+          ? "a"
+          : "b"
+      ];
+    cy.edges(`[source="${source}"][target="${target}"]`).style({
+      "line-color": color,
+      "target-arrow-color": color,
+      width: 4,
+    });
+  });
+  [...a.targets, ...b.targets].forEach((p) =>
+    cy.$id(p).style({ "border-color": "#1a202c", "border-width": 4 })
+  );
 }
 
 // ---------------- Mode Toggle ----------------
+const modePanels = {
+  analysis: "analysisPanel",
+  addNode: "addNodePanel",
+  import: "importPanel",
+};
 const modeSelect = document.getElementById("modeSelect");
 modeSelect.addEventListener("change", () => {
-  const analysisPanel = document.getElementById("analysisPanel");
-  const addNodePanel = document.getElementById("addNodePanel");
-  if (modeSelect.value === "addNode") {
-    analysisPanel.style.display = "none";
-    addNodePanel.style.display = "block";
-  } else {
-    analysisPanel.style.display = "block";
-    addNodePanel.style.display = "none";
+  Object.entries(modePanels).forEach(([mode, panelId]) => {
+    document.getElementById(panelId).style.display =
+      modeSelect.value === mode ? "block" : "none";
+  });
+});
+
+// ---------------- Network Editing ----------------
+// Every edit is a command so it can be undone; see config/history.js.
+const editHistory = new CommandHistory();
+
+function addProteinCommand(protein, neighbors) {
+  let created = [];
+  let added = [];
+  return {
+    label: `Protein ${protein} added`,
+    warnings: [],
+    do() {
+      created = [protein, ...neighbors.map((n) => n.neighbor)].filter(
+        (v, i, all) => !graph.adjacencyList[v] && all.indexOf(v) === i
+      );
+      added = [];
+      this.warnings = [];
+      graph.addVertex(protein);
+      neighbors.forEach(({ neighbor, weight }) => {
+        try {
+          graph.addEdge(protein, neighbor, weight);
+          added.push(neighbor);
+        } catch (err) {
+          this.warnings.push(`${neighbor}: ${err.message}`);
+        }
+      });
+      const report = graph.validateDigraph();
+      if (!report.valid) {
+        this.undo();
+        throw new Error(
+          `Adding this protein breaks degree sequence constraints (${report.rule}): ${report.message}`
+        );
+      }
+    },
+    undo() {
+      added.forEach((neighbor) => graph.removeEdge(protein, neighbor));
+      created
+        .filter((v) => graph.adjacencyList[v])
+        .forEach((v) => graph.removeVertex(v));
+    },
+  };
+}
+
+function removeProteinCommand(protein) {
+  let outgoing = [];
+  let incoming = [];
+  return {
+    label: `Protein ${protein} removed`,
+    do() {
+      outgoing = graph.adjacencyList[protein];
+      incoming = graph.removeVertex(protein);
+    },
+    undo() {
+      graph.adjacencyList[protein] = outgoing;
+      incoming.forEach(({ source, edge }) =>
+        graph.adjacencyList[source].push(edge)
+      );
+    },
+  };
+}
+
+function addEdgeCommand(source, target, weight, effect) {
+  let created = [];
+  return {
+    label: `Interaction ${source} → ${target} added`,
+    do() {
+      created = [source, target].filter((v) => !graph.adjacencyList[v]);
+      graph.addEdge(source, target, weight, effect);
+    },
+    undo() {
+      graph.removeEdge(source, target);
+      created.forEach((v) => graph.removeVertex(v));
+    },
+  };
+}
+
+function removeEdgeCommand(source, target) {
+  let removed;
+  return {
+    label: `Interaction ${source} → ${target} removed`,
+    do() {
+      removed = graph.removeEdge(source, target);
+    },
+    undo() {
+      graph.adjacencyList[source].push(removed);
+    },
+  };
+}
+
+// `changes` holds the new weight and/or effect; an effect of undefined
+// makes the interaction unsigned.
+function updateEdgeCommand(source, target, changes) {
+  let previous = {};
+  const summary = [
+    "weight" in changes ? changes.weight : null,
+    "effect" in changes ? changes.effect || "unsigned" : null,
+  ]
+    .filter((v) => v !== null)
+    .join(", ");
+  return {
+    label: `Interaction ${source} → ${target} set to ${summary}`,
+    do() {
+      previous = {};
+      if ("weight" in changes)
+        previous.weight = graph.updateEdge(source, target, changes.weight);
+      if ("effect" in changes)
+        previous.effect = graph.setEdgeEffect(source, target, changes.effect);
+    },
+    undo() {
+      if ("weight" in previous)
+        graph.updateEdge(source, target, previous.weight);
+      if ("effect" in previous)
+        graph.setEdgeEffect(source, target, previous.effect);
+    },
+  };
+}
+
+function updateHistoryButtons() {
+  document.getElementById("undoBtn").disabled = !editHistory.canUndo;
+  document.getElementById("redoBtn").disabled = !editHistory.canRedo;
+}
+
+function afterEdit() {
+  initializeNetwork();
+  saveWorkspace();
+  updateHistoryButtons();
+}
+
+function applyEdit(command) {
+  try {
+    editHistory.execute(command);
+  } catch (err) {
+    return flashMessage(err.message, "error");
+  }
+  afterEdit();
+  if (command.warnings && command.warnings.length > 0) {
+    return flashMessage(
+      `${command.label}, with errors: ${command.warnings.join("; ")}`,
+      "error"
+    );
   }
+  flashMessage(command.label);
+}
+
+function undoEdit() {
+  if (!editHistory.canUndo) return flashMessage("Nothing to undo", "error");
+  const command = attempt(() => editHistory.undo());
+  if (!command) return;
+  afterEdit();
+  flashMessage(`Undone: ${command.label}`);
+}
+
+function redoEdit() {
+  if (!editHistory.canRedo) return flashMessage("Nothing to redo", "error");
+  const command = attempt(() => editHistory.redo());
+  if (!command) return;
+  afterEdit();
+  flashMessage(`Redone: ${command.label}`);
+}
+
+const readConfidence = (value) => {
+  const weight = Number(value);
+  if (value === "" || Number.isNaN(weight) || weight < 0 || weight > 1) {
+    throw new Error("Confidence must be a number between 0 and 1");
+  }
+  return weight;
+};
+
+const readEdgeForm = () => ({
+  source: document.getElementById("edgeSource").value.trim(),
+  target: document.getElementById("edgeTarget").value.trim(),
+  weight: document.getElementById("edgeWeight").value.trim(),
+  effect: document.getElementById("edgeEffect").value || undefined,
 });
 
 // ---------------- Add New Protein ----------------
@@ -369,50 +2465,778 @@ document.getElementById("addProteinBtn").addEventListener("click", () => {
 
   if (!proteinName) return flashMessage("Enter a protein name", "error");
 
-  graph.addVertex(proteinName);
+  // A neighbour without a confidence gets 1; a given one must be 0–1
+  let neighbors;
+  try {
+    neighbors = neighborsInput
+      .split(",")
+      .map((item) => item.split(":"))
+      .filter(([neighbor = ""]) => neighbor.trim())
+      .map(([neighbor, w]) => {
+        try {
+          return {
+            neighbor: neighbor.trim(),
+            weight: w === undefined ? 1 : readConfidence(w.trim()),
+          };
+        } catch (err) {
+          throw new Error(`${neighbor.trim()}: ${err.message}`);
+        }
+      });
+  } catch (err) {
+    return flashMessage(err.message, "error");
+  }
 
-  if (neighborsInput) {
-    neighborsInput.split(",").forEach((item) => {
-      const [neighbor, w] = item.split(":");
-      const weight = Number(w) || 1;
-      try {
-        graph.addEdge(proteinName, neighbor.trim(), weight);
-      } catch (err) {
-        flashMessage(err.message, "error");
-      }
+  applyEdit(addProteinCommand(proteinName, neighbors));
+});
+
+// ---------------- Edit Interactions ----------------
+document.getElementById("addEdgeBtn").addEventListener("click", () => {
+  const { source, target, weight, effect } = readEdgeForm();
+  if (!source || !target)
+    return flashMessage("Enter a source and target protein", "error");
+  try {
+    applyEdit(addEdgeCommand(source, target, readConfidence(weight), effect));
+  } catch (err) {
+    flashMessage(err.message, "error");
+  }
+});
+
+document.getElementById("updateEdgeBtn").addEventListener("click", () => {
+  const { source, target, weight, effect } = readEdgeForm();
+  try {
+    applyEdit(
+      updateEdgeCommand(source, target, {
+        weight: readConfidence(weight),
+        effect,
+      })
+    );
+  } catch (err) {
+    flashMessage(err.message, "error");
+  }
+});
+
+document.getElementById("removeEdgeBtn").addEventListener("click", () => {
+  const { source, target } = readEdgeForm();
+  applyEdit(removeEdgeCommand(source, target));
+});
+
+document.getElementById("removeProteinBtn").addEventListener("click", () => {
+  const protein = document.getElementById("removeProtein").value.trim();
+  if (!protein) return flashMessage("Enter a protein name", "error");
+  applyEdit(removeProteinCommand(protein));
+});
+
+document.getElementById("undoBtn").addEventListener("click", undoEdit);
+document.getElementById("redoBtn").addEventListener("click", redoEdit);
+document.addEventListener("keydown", (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.target.matches("input, select")) return;
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undoEdit();
+  } else if (key === "y" || (key === "z" && e.shiftKey)) {
+    e.preventDefault();
+    redoEdit();
+  }
+});
+
+// ---------------- Drug Destinations ----------------
+// Destinations chosen for individual drugs, saved with the workspace
+function renderCustomDestinations() {
+  const list = document.getElementById("customDestinationList");
+  list.innerHTML = "";
+  Object.entries(getDrugTables().customDestinations).forEach(
+    ([drug, protein]) => {
+      const item = document.createElement("li");
+      item.textContent = `${drug} → ${protein}`;
+      item.addEventListener("click", () => {
+        document.getElementById("destinationDrug").value = drug;
+        document.getElementById("destinationProtein").value = protein;
+      });
+      list.appendChild(item);
+    }
+  );
+}
+
+function setCustomDestination(protein) {
+  const drug = readDrug("destinationDrug");
+  if (!drug) return;
+  if (protein && !graph.adjacencyList[protein])
+    return flashMessage(`Protein ${protein} is not in the network`, "error");
+  setDrugDestination(drug, protein);
+  saveWorkspace();
+  renderCustomDestinations();
+  flashMessage(
+    protein
+      ? `${drug} now leads to ${protein}`
+      : `${drug} leads to ${getDrugDestination(drug) || "no destination"} again`
+  );
+}
+
+document.getElementById("setDestinationBtn").addEventListener("click", () => {
+  const protein = document.getElementById("destinationProtein").value.trim();
+  if (!protein) return flashMessage("Enter a destination protein", "error");
+  setCustomDestination(protein);
+});
+document
+  .getElementById("clearDestinationBtn")
+  .addEventListener("click", () => setCustomDestination(null));
+
+// ---------------- Context Menu ----------------
+const contextMenu = document.getElementById("contextMenu");
+
+function showContextMenu(position, items) {
+  contextMenu.innerHTML = "";
+  items.forEach(({ label, action }) => {
+    const item = document.createElement("button");
+    item.textContent = label;
+    item.addEventListener("click", () => {
+      hideContextMenu();
+      action();
     });
+    contextMenu.appendChild(item);
+  });
+  contextMenu.style.left = `${position.x}px`;
+  contextMenu.style.top = `${position.y}px`;
+  contextMenu.classList.remove("hidden");
+}
+
+function hideContextMenu() {
+  contextMenu.classList.add("hidden");
+}
+
+function openEditForm(fields) {
+  modeSelect.value = "addNode";
+  modeSelect.dispatchEvent(new Event("change"));
+  Object.entries(fields).forEach(
+    ([id, value]) => (document.getElementById(id).value = value)
+  );
+}
+
+function bindContextMenu() {
+  cy.on("cxttap", "node:childless", (evt) => {
+    const protein = evt.target.id();
+    showContextMenu(evt.renderedPosition, [
+      {
+        label: `Remove ${protein}`,
+        action: () => applyEdit(removeProteinCommand(protein)),
+      },
+      {
+        label: "Add interaction from here…",
+        action: () => openEditForm({ edgeSource: protein, edgeTarget: "" }),
+      },
+      {
+        label: "Add interaction to here…",
+        action: () => openEditForm({ edgeSource: "", edgeTarget: protein }),
+      },
+    ]);
+  });
+
+  cy.on("cxttap", "edge", (evt) => {
+    const { source, target, weight, effect } = evt.target.data();
+    showContextMenu(evt.renderedPosition, [
+      {
+        label: "Change confidence…",
+        action: () => {
+          const value = window.prompt(
+            `Confidence for ${source} → ${target} (0–1):`,
+            weight
+          );
+          if (value === null) return;
+          try {
+            applyEdit(
+              updateEdgeCommand(source, target, {
+                weight: readConfidence(value.trim()),
+              })
+            );
+          } catch (err) {
+            flashMessage(err.message, "error");
+          }
+        },
+      },
+      {
+        label: "Edit in form…",
+        action: () =>
+          openEditForm({
+            edgeSource: source,
+            edgeTarget: target,
+            edgeWeight: weight,
+            edgeEffect: effect || "",
+          }),
+      },
+      {
+        label: `Remove ${source} → ${target}`,
+        action: () => applyEdit(removeEdgeCommand(source, target)),
+      },
+    ]);
+  });
+
+  cy.on("tap", hideContextMenu);
+  cy.on("viewport", hideContextMenu);
+}
+
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape") hideContextMenu();
+});
+
+// ---------------- Import Network ----------------
+let importFile = null;
+
+function selectImportFile(file) {
+  importFile = file;
+  document.querySelector("#dropZone p").textContent = file
+    ? `Selected: ${file.name}`
+    : "Drop a SIF, TSV/CSV or STRING file here";
+}
+
+function renderImportReport({ format, added, nodes = [], filtered, rejected }) {
+  const report = document.getElementById("importReport");
+  const rows = rejected
+    .sort((a, b) => a.line - b.line)
+    .map(
+      (r) =>
+        `<li><strong>Line ${r.line}:</strong> ${escapeHtml(
+          r.reason
+        )}<code>${escapeHtml(r.text)}</code></li>`
+    )
+    .join("");
+  report.innerHTML =
+    `<p>Imported ${added} interactions${
+      nodes.length ? ` and ${nodes.length} proteins listed alone` : ""
+    } as ${format.toUpperCase()}. ` +
+    `${filtered} below the confidence threshold, ${rejected.length} rejected.</p>` +
+    (rows ? `<ul>${rows}</ul>` : "");
+}
+
+async function importNetwork() {
+  if (!importFile) return flashMessage("Choose a file to import", "error");
+
+  const text = await importFile.text();
+  const parsed = parseNetworkFile(text, {
+    format: document.getElementById("importFormat").value,
+    fileName: importFile.name,
+    minScore: Number(document.getElementById("importMinScore").value) || 0,
+  });
+  if (parsed.edges.length === 0) {
+    renderImportReport({ ...parsed, added: 0 });
+    return flashMessage(`No interactions found in ${importFile.name}`, "error");
   }
 
-  if (!graph.isValidDigraph()) {
+  const replace = document.getElementById("importMode").value === "replace";
+  const { added, rejected } = importEdges(graph, parsed.edges, {
+    replace,
+    nodes: parsed.nodes,
+  });
+  const rowIssues = checkInteractionRows(
+    Object.fromEntries(
+      parsed.edges.map(({ source, target, weight, effect, line }) => [
+        `${importFile.name}:${line}`,
+        [source, target, weight, effect],
+      ])
+    )
+  );
+  loadIssues = replace ? rowIssues : [...loadIssues, ...rowIssues];
+  renderImportReport({
+    ...parsed,
+    added,
+    rejected: [...parsed.rejected, ...rejected],
+  });
+  // Recorded edits may refer to interactions the import replaced
+  resetForNewNetwork();
+  initializeNetwork();
+  saveWorkspace();
+  flashMessage(`Imported ${added} interactions from ${importFile.name}`);
+}
+
+const dropZone = document.getElementById("dropZone");
+dropZone.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  dropZone.classList.add("dragging");
+});
+dropZone.addEventListener("dragleave", () =>
+  dropZone.classList.remove("dragging")
+);
+dropZone.addEventListener("drop", (e) => {
+  e.preventDefault();
+  dropZone.classList.remove("dragging");
+  selectImportFile(e.dataTransfer.files[0] || null);
+});
+document
+  .getElementById("importFile")
+  .addEventListener("change", (e) =>
+    selectImportFile(e.target.files[0] || null)
+  );
+document.getElementById("importBtn").addEventListener("click", importNetwork);
+
+// ---------------- Export ----------------
+function downloadFile(fileName, content, type) {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+const exporters = {
+  graphml: () => [
+    "network.graphml",
+    toGraphML(graph),
+    "application/graphml+xml",
+  ],
+  cyjs: () => ["network.cyjs", toCytoscapeJSON(graph), "application/json"],
+  edgeCsv: () => ["network-edges.csv", toEdgeCSV(graph), "text/csv"],
+  resultCsv: () => [
+    `${lastResult.analysis}-results.csv`,
+    resultToCSV(lastResult),
+    "text/csv",
+  ],
+  resultActivationCsv: () => {
+    if (!lastResult.frames)
+      throw new Error("Run a propagation simulation to export its curves");
+    return [
+      // Protein-to-protein queries have no drug; name them by their sources
+      `${lastResult.drug || lastResult.targets.join("+")}-activation.csv`,
+      activationCurvesToCSV(lastResult.frames),
+      "text/csv",
+    ];
+  },
+  resultJson: () => [
+    `${lastResult.analysis}-results.json`,
+    JSON.stringify(lastResult, null, 2),
+    "application/json",
+  ],
+  png: () => [
+    "network.png",
+    cy.png({ full: true, scale: 2, bg: "#ffffff", output: "blob" }),
+    "image/png",
+  ],
+  svg: () => {
+    if (typeof cy.svg !== "function")
+      throw new Error("SVG export needs the cytoscape-svg extension");
+    return [
+      "network.svg",
+      cy.svg({ full: true, scale: 1, bg: "#ffffff" }),
+      "image/svg+xml",
+    ];
+  },
+};
+
+function exportData() {
+  const format = document.getElementById("exportFormat").value;
+  if (format.startsWith("result") && !lastResult)
+    return flashMessage("Run an analysis before exporting results", "error");
+
+  try {
+    const [fileName, content, type] = exporters[format]();
+    downloadFile(fileName, content, type);
+    flashMessage(`Exported ${fileName}`);
+  } catch (err) {
+    flashMessage(`Export failed: ${err.message}`, "error");
+  }
+}
+
+// ---------------- Workspaces ----------------
+// Touching localStorage throws when the browser blocks storage (private mode,
+// file:// pages, disabled cookies). The app then runs on the bundled data with
+// the workspace controls disabled.
+let workspaces = null;
+try {
+  workspaces = new WorkspaceStore();
+} catch (err) {
+  console.warn(`Workspaces unavailable: ${err.message}`);
+}
+const workspaceControls = [
+  "workspaceSelect",
+  "newWorkspaceBtn",
+  "duplicateWorkspaceBtn",
+  "resetWorkspaceBtn",
+  "deleteWorkspaceBtn",
+];
+const settingFields = [
+  "querySelect",
+  "sourceInput",
+  "drugInput",
+  "destinationSelect",
+  "destinationInput",
+  "compareDrugInput",
+  "combinationInput",
+  "repurposeInput",
+  "algorithmSelect",
+  "costModelSelect",
+  "kPathsInput",
+  "restartInput",
+  "knockoutInput",
+  "robustnessOrder",
+  "propagationRule",
+  "propagationThreshold",
+  "propagationSteps",
+  "centralitySelect",
+  "normalizationSelect",
+];
+
+const readSettings = () =>
+  Object.fromEntries(
+    settingFields.map((id) => [id, document.getElementById(id).value])
+  );
+
+// Whether a select offers `value`; saved settings and links may name
+// options that older versions had and this one removed
+const offersValue = (field, value) =>
+  field.tagName !== "SELECT" ||
+  [...field.options].some((o) => o.value === value);
+
+function applySettings(settings = {}) {
+  settingFields.forEach((id) => {
+    const field = document.getElementById(id);
+    if (settings[id] !== undefined && offersValue(field, settings[id]))
+      field.value = settings[id];
+  });
+  updateAlgorithmInfo();
+  updateQueryFields();
+}
+
+function renderWorkspaceList() {
+  document.getElementById("workspaceSelect").innerHTML = workspaces
+    .names()
+    .map(
+      (name) =>
+        `<option value="${escapeHtml(name)}"${
+          name === workspaces.active ? " selected" : ""
+        }>${escapeHtml(name)}</option>`
+    )
+    .join("");
+}
+
+function disableWorkspaces() {
+  workspaceControls.forEach((id) => {
+    document.getElementById(id).disabled = true;
+  });
+  document.getElementById("workspaceSelect").innerHTML =
+    "<option>Unavailable</option>";
+}
+
+// Storage writes fail once an imported network fills the quota; the session
+// carries on with what is on screen.
+function storeWorkspaces(change) {
+  try {
+    change();
+    return true;
+  } catch (err) {
+    flashMessage(`Could not save workspace: ${err.message}`, "error");
+    return false;
+  }
+}
+
+// Saved on explicit changes (edits, imports, destinations, workspace actions),
+// not on every run, since each save writes the whole network.
+function saveWorkspace(name = workspaces?.active) {
+  if (!workspaces || !name) return;
+  storeWorkspaces(() =>
+    workspaces.save(name, {
+      network: graph.adjacencyList,
+      ...getDrugTables(),
+      loadIssues,
+      settings: readSettings(),
+    })
+  );
+}
+
+function loadWorkspace(name) {
+  const workspace = workspaces.get(name);
+  if (!workspace) return flashMessage(`Workspace ${name} not found`, "error");
+
+  graph.adjacencyList = workspace.network;
+  loadIssues = workspace.loadIssues || [];
+  const dropped = graph.removeDanglingEdges();
+  if (dropped.length > 0)
     flashMessage(
-      "Adding this protein breaks degree sequence constraints!",
-      "error"
+      `Dropped ${dropped.length} interactions with unknown proteins: ${dropped
+        .slice(0, 5)
+        .join(", ")}${dropped.length > 5 ? ", …" : ""}`,
+      "warning"
     );
-    delete graph.adjacencyList[proteinName];
-    initializeNetwork();
-    return;
+  setDrugTables(workspace);
+  renderCustomDestinations();
+  applySettings(workspace.settings);
+  storeWorkspaces(() => workspaces.activate(name));
+  resetForNewNetwork();
+  initializeNetwork();
+  renderWorkspaceList();
+}
+
+function createBundledWorkspace(name) {
+  loadBundledNetwork();
+  resetDrugTables();
+  saveWorkspace(name);
+}
+
+const promptWorkspaceName = (message, fallback) => {
+  const name = (window.prompt(message, fallback) || "").trim();
+  if (!name) return null;
+  if (workspaces.names().includes(name)) {
+    flashMessage(`Workspace ${name} already exists`, "error");
+    return null;
   }
+  return name;
+};
 
-  initializeNetwork();
-  flashMessage(`Protein ${proteinName} added successfully!`);
+document.getElementById("workspaceSelect").addEventListener("change", (e) => {
+  saveWorkspace();
+  loadWorkspace(e.target.value);
+  flashMessage(`Switched to workspace ${e.target.value}`);
+});
+
+document.getElementById("newWorkspaceBtn").addEventListener("click", () => {
+  const name = promptWorkspaceName("Name for the new workspace:");
+  if (!name) return;
+  saveWorkspace();
+  createBundledWorkspace(name);
+  loadWorkspace(name);
+  flashMessage(`Created workspace ${name}`);
 });
 
+document
+  .getElementById("duplicateWorkspaceBtn")
+  .addEventListener("click", () => {
+    const current = workspaces.active;
+    const name = promptWorkspaceName("Name for the copy:", `${current} (copy)`);
+    if (!name) return;
+    saveWorkspace();
+    if (!storeWorkspaces(() => workspaces.duplicate(current, name))) return;
+    loadWorkspace(name);
+    flashMessage(`Duplicated ${current} as ${name}`);
+  });
+
+document.getElementById("deleteWorkspaceBtn").addEventListener("click", () => {
+  const current = workspaces.active;
+  if (!window.confirm(`Delete workspace ${current}?`)) return;
+  if (!storeWorkspaces(() => workspaces.remove(current))) return;
+  if (!workspaces.active) createBundledWorkspace("Default");
+  loadWorkspace(workspaces.active);
+  flashMessage(`Deleted workspace ${current}`);
+});
+
+document.getElementById("resetWorkspaceBtn").addEventListener("click", () => {
+  const current = workspaces.active;
+  if (!window.confirm(`Reset ${current} to the bundled dataset?`)) return;
+  createBundledWorkspace(current);
+  loadWorkspace(current);
+  flashMessage(`Workspace ${current} reset to the bundled dataset`);
+});
+
+// ---------------- Deep Links ----------------
+// An analysis is shared through the page URL's hash, e.g.
+//   #drug=Aspirin&algo=kshortest&k=5&path=2&view=1.250,-40,310
+// holding the fields that differ from their defaults, the highlighted path
+// (numbered as in the path list) and the network's zoom and pan. Every run
+// adds a history entry, so back and forward step through analyses.
+const linkFields = {
+  query: "querySelect",
+  from: "sourceInput",
+  drug: "drugInput",
+  to: "destinationSelect",
+  dest: "destinationInput",
+  algo: "algorithmSelect",
+  cost: "costModelSelect",
+  k: "kPathsInput",
+  restart: "restartInput",
+  knockout: "knockoutInput",
+  order: "robustnessOrder",
+  rule: "propagationRule",
+  threshold: "propagationThreshold",
+  steps: "propagationSteps",
+};
+
+// The field settings of the analysis the URL describes; null when the
+// network shows something else
+let linkedAnalysis = null;
+// Set while a link is being opened, so the run does not add a history entry
+// and the half-restored view is not written back
+let restoringLink = false;
+let layoutRunning = false;
+let linkTimer = null;
+
+const fieldDefault = (field) =>
+  field.tagName === "SELECT"
+    ? ([...field.options].find((o) => o.defaultSelected) || field.options[0])
+        .value
+    : field.defaultValue;
+
+function linkSettings() {
+  const params = new URLSearchParams();
+  // Fields the query does not read are left out
+  const value = (id) => document.getElementById(id).value;
+  const unused = new Set([
+    value("querySelect") === "proteins" ? "drug" : "from",
+    ...(value("destinationSelect") === "proteins" ? [] : ["dest"]),
+  ]);
+  Object.entries(linkFields).forEach(([key, id]) => {
+    const field = document.getElementById(id);
+    if (!unused.has(key) && field.value !== fieldDefault(field))
+      params.set(key, field.value);
+  });
+  if (!document.getElementById("propagationDecay").checked)
+    params.set("decay", "0");
+  return params.toString();
+}
+
+function writeLink(push) {
+  if (linkedAnalysis === null || restoringLink || !cy) return;
+  const params = new URLSearchParams(linkedAnalysis);
+  const path = [...document.getElementById("pathList").children].findIndex(
+    (item) => item.classList.contains("active")
+  );
+  if (path >= 0) params.set("path", path + 1);
+  // Appended by hand so the commas are not percent-encoded
+  const { x, y } = cy.pan();
+  const view = [cy.zoom().toFixed(3), Math.round(x), Math.round(y)];
+  const link = `#${params}&view=${view.join(",")}`;
+  if (link === location.hash) return;
+  if (push) history.pushState(null, "", link);
+  else history.replaceState(null, "", link);
+}
+
+// Called at the end of a successful runAnalysis
+function recordAnalysis() {
+  linkedAnalysis = linkSettings();
+  writeLink(true);
+}
+
+// Centrality, modules, combinations, repurposing and comparisons have no
+// link of their own: once one replaces the analysis on show, the URL stops
+// describing the network (a history entry keeps the analysis for Back)
+function leaveAnalysisLink() {
+  if (linkedAnalysis === null) return;
+  linkedAnalysis = null;
+  history.pushState(null, "", location.pathname + location.search);
+}
+
+// Keeps the current history entry in step with the path and view shown
+const updateLink = () => writeLink(false);
+
+function scheduleLinkUpdate() {
+  clearTimeout(linkTimer);
+  linkTimer = setTimeout(() => {
+    if (!layoutRunning) updateLink();
+  }, 250);
+}
+
+// Re-runs the analysis in `hash` and restores its path and view, once any
+// running layout has settled. Returns false when the hash is not a link.
+function openLink(hash = location.hash) {
+  const params = new URLSearchParams(hash.slice(1));
+  if (!params.get("drug") && !params.get("from")) return false;
+
+  restoringLink = true;
+  const ignored = [];
+  Object.entries(linkFields).forEach(([key, id]) => {
+    const field = document.getElementById(id);
+    const value = params.get(key);
+    const valid = params.has(key) && offersValue(field, value);
+    if (params.has(key) && !valid) ignored.push(`${key}=${value}`);
+    field.value = valid ? value : fieldDefault(field);
+  });
+  // Links from before the destination picker name one protein in `dest`
+  if (params.has("dest") && !params.has("to"))
+    document.getElementById("destinationSelect").value = "proteins";
+  document.getElementById("propagationDecay").checked =
+    params.get("decay") !== "0";
+  updateAlgorithmInfo();
+  updateQueryFields();
+  // Some analyses finish in the background worker
+  runAnalysis().then(() => {
+    const item =
+      document.getElementById("pathList").children[
+        parseInt(params.get("path"), 10) - 1
+      ];
+    if (item) item.click();
+    const [zoom, x, y] = (params.get("view") || "").split(",").map(Number);
+    const restoreView = () => {
+      if (zoom > 0 && Number.isFinite(x) && Number.isFinite(y))
+        cy.viewport({ zoom, pan: { x, y } });
+      restoringLink = false;
+    };
+    if (layoutRunning) cy.one("layoutstop", restoreView);
+    else restoreView();
+    if (ignored.length > 0)
+      flashMessage(
+        `Ignored invalid link settings: ${ignored.join(", ")}`,
+        "warning"
+      );
+  });
+  return true;
+}
+
 // ---------------- Event Listeners ----------------
 document
   .getElementById("algorithmSelect")
   .addEventListener("change", updateAlgorithmInfo);
+document
+  .getElementById("querySelect")
+  .addEventListener("change", updateQueryFields);
+document
+  .getElementById("destinationSelect")
+  .addEventListener("change", updateQueryFields);
+document
+  .getElementById("drugInput")
+  .addEventListener("change", routeProteinQuery);
 document.getElementById("drugInput").addEventListener("keypress", (e) => {
   if (e.key === "Enter") runAnalysis();
 });
 document.getElementById("runBtn").addEventListener("click", runAnalysis);
+document.getElementById("exportBtn").addEventListener("click", exportData);
 document.getElementById("validateBtn").addEventListener("click", validateGraph);
+document.getElementById("integrityBtn").addEventListener("click", checkData);
+document.getElementById("cancelTaskBtn").addEventListener("click", () => {
+  if (cancelBackgroundTask()) flashMessage("Analysis cancelled", "warning");
+});
 document
   .getElementById("centralityBtn")
-  .addEventListener("click", analyzeBetweennessCentrality);
+  .addEventListener("click", analyzeCentrality);
+document
+  .getElementById("compareBtn")
+  .addEventListener("click", compareDrugFootprints);
+document.getElementById("modulesBtn").addEventListener("click", detectModules);
+document.getElementById("playBtn").addEventListener("click", togglePlayback);
+document.getElementById("stepBtn").addEventListener("click", () => {
+  stopPlayback();
+  stepPlayback();
+});
+document.getElementById("timelineSlider").addEventListener("input", (e) => {
+  stopPlayback();
+  showFrame(Number(e.target.value));
+});
+document
+  .getElementById("combinationBtn")
+  .addEventListener("click", analyzeCombination);
+document
+  .getElementById("repurposeBtn")
+  .addEventListener("click", rankDrugsForProtein);
+document.getElementById("repurposeInput").addEventListener("keydown", (e) => {
+  if (e.key === "Enter") rankDrugsForProtein();
+});
+
+window.addEventListener("popstate", () => openLink());
 
 // ---------------- On Load ----------------
 window.onload = () => {
   flashMessage("Initializing network : Graph is initiated");
-  initializeNetwork();
-  updateAlgorithmInfo();
+  if (workspaces && !workspaces.active) createBundledWorkspace("Default");
+  if (workspaces?.active) {
+    loadWorkspace(workspaces.active);
+  } else {
+    disableWorkspaces();
+    applySettings();
+    initializeNetwork();
+    flashMessage(
+      "Workspaces are unavailable: browser storage is blocked",
+      "warning"
+    );
+  }
+  openLink();
 };
@@ -0,0 +1,81 @@
+// ---------------- Headless Analysis ----------------
+// Golden results of the path analyses on the bundled network: a change to
+// the data or the algorithms that moves them should be deliberate.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Graph } from "../config/Graph.js";
+import { analyzeDrug, loadInteractions } from "../config/analysis.js";
+import { proteinInteractions } from "../data/interactions.js";
+
+const graph = new Graph();
+loadInteractions(graph, proteinInteractions);
+
+const pathsOf = (result) => result.paths.map(({ path }) => path.join(" "));
+const round = (x) => Number(x.toFixed(6));
+
+test("bfs reaches aspirin's destination from PTGS1", () => {
+  const result = analyzeDrug(graph, "aspirin", { algorithm: "bfs" });
+  assert.deepEqual(result.targets, ["PTGS1", "PTGS2"]);
+  assert.equal(result.destination, "CYP19A1");
+  assert.deepEqual(result.stats, {
+    proteinsReached: 4,
+    maxDepth: 4,
+    reachedVia: "PTGS1",
+  });
+  assert.deepEqual(pathsOf(result), ["PTGS1 PDE5A ATP1A1 CYP19A1"]);
+  assert.equal(Object.keys(result.values).length, 24);
+  assert.deepEqual(result.reachedBy.PTGS2, ["ERBB2", "DHFR", "MS4A1", "ESR1"]);
+});
+
+test("dijkstra finds the most confident pathway", () => {
+  const result = analyzeDrug(graph, "aspirin", { algorithm: "dijkstra" });
+  assert.equal(result.stats.pathLength, 4);
+  assert.equal(round(result.stats.confidence), 0.685995);
+  assert.equal(round(result.stats.cost), 0.428178);
+  assert.deepEqual(pathsOf(result), ["PTGS1 PDE5A ATP1A1 CYP19A1"]);
+
+  const longer = analyzeDrug(graph, "metformin", { algorithm: "dijkstra" });
+  assert.deepEqual(pathsOf(longer), [
+    "INSR SERPINC1 ESR1 CYP19A1 CACNA2D1 PDE5A ATP1A1",
+  ]);
+  assert.equal(round(longer.stats.confidence), 0.187137);
+});
+
+test("dijkstra to several destinations gives one pathway each", () => {
+  const result = analyzeDrug(graph, "aspirin", {
+    algorithm: "dijkstra",
+    destination: ["EGFR", "TNF"],
+  });
+  assert.deepEqual(result.destinations, ["EGFR", "TNF"]);
+  assert.equal(result.stats.destinationsReached, 2);
+  assert.deepEqual(pathsOf(result), [
+    "PTGS1 PDE5A ATP1A1 CYP19A1 TNF",
+    "PTGS1 PDE5A ATP1A1 ABL1 EGFR",
+  ]);
+});
+
+test("kshortest ranks alternative pathways by cost", () => {
+  const result = analyzeDrug(graph, "aspirin", { algorithm: "kshortest" });
+  assert.equal(result.stats.pathsFound, 3);
+  assert.deepEqual(pathsOf(result), [
+    "PTGS1 PDE5A ATP1A1 CYP19A1",
+    "PTGS1 PDE5A ATP1A1 ABL1 EGFR VKORC1 SERPINC1 ESR1 CYP19A1",
+    "PTGS1 PDE5A HTR2A TYMS EGFR VKORC1 SERPINC1 ESR1 CYP19A1",
+  ]);
+  assert.deepEqual(
+    result.paths.map((p) => round(p.confidence)),
+    [0.685995, 0.386065, 0.35425]
+  );
+});
+
+test("invalid options throw", () => {
+  assert.throws(() => analyzeDrug(graph, "nodrug"), /nodrug/);
+  assert.throws(
+    () => analyzeDrug(graph, "aspirin", { algorithm: "nope" }),
+    /Unknown algorithm: nope/
+  );
+  assert.throws(
+    () => analyzeDrug(graph, "aspirin", { costModel: "reciprocal" }),
+    /Unknown cost model: reciprocal/
+  );
+});
@@ -0,0 +1,50 @@
+// ---------------- dtf ----------------
+// Runs the command line as a user would and compares batch output with the
+// golden files in test/golden.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { readFileSync } from "node:fs";
+
+const dtf = (...args) =>
+  spawnSync(
+    process.execPath,
+    [new URL("../bin/dtf.js", import.meta.url).pathname, ...args],
+    { encoding: "utf8" }
+  );
+const golden = (name) =>
+  readFileSync(new URL(`golden/${name}`, import.meta.url), "utf8");
+
+test("path --all writes one CSV row per drug", () => {
+  const { status, stdout, stderr } = dtf(
+    "path",
+    "--all",
+    "-a",
+    "dijkstra",
+    "-f",
+    "csv"
+  );
+  assert.equal(stderr, "");
+  assert.equal(status, 0);
+  assert.equal(stdout, golden("path-all-dijkstra.csv"));
+});
+
+test("path takes synonyms and brand names", () => {
+  const { status, stdout } = dtf("path", "Bayer", "-a", "dijkstra");
+  assert.equal(status, 0);
+  const result = JSON.parse(stdout);
+  assert.equal(result.drug, "aspirin");
+  assert.deepEqual(result.paths[0].path, [
+    "PTGS1",
+    "PDE5A",
+    "ATP1A1",
+    "CYP19A1",
+  ]);
+});
+
+test("errors go to stderr with a failing exit code", () => {
+  const { status, stdout, stderr } = dtf("path", "nodrug");
+  assert.equal(status, 1);
+  assert.equal(stdout, "");
+  assert.match(stderr, /^dtf: Drug nodrug not found/);
+});
@@ -0,0 +1,211 @@
+// ---------------- Graph ----------------
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Graph } from "../config/Graph.js";
+import {
+  bottleneckTable,
+  bottlenecks,
+  cascadeOrder,
+  loadInteractions,
+} from "../config/analysis.js";
+import { proteinInteractions } from "../data/interactions.js";
+
+const network = (interactions) => {
+  const graph = new Graph();
+  interactions.forEach(([source, target, weight]) =>
+    graph.addEdge(source, target, weight)
+  );
+  return graph;
+};
+const round = (x) => Number(x.toFixed(6));
+
+// Yen's textbook example with costs c as confidences 1 − c/10, plus a D → C
+// edge back to the start that no loopless path may use
+const yen = network([
+  ["C", "D", 0.7],
+  ["C", "E", 0.8],
+  ["D", "F", 0.6],
+  ["E", "D", 0.9],
+  ["E", "F", 0.8],
+  ["E", "G", 0.7],
+  ["F", "G", 0.8],
+  ["F", "H", 0.9],
+  ["G", "H", 0.8],
+  ["D", "C", 0.9],
+]);
+
+// P0 → P1 → … → P(n−1), deeper than any call stack
+const chain = (n) => {
+  const graph = new Graph();
+  for (let i = 0; i < n; i++) graph.addVertex(`P${i}`);
+  for (let i = 1; i < n; i++) graph.addEdge(`P${i - 1}`, `P${i}`, 0.9);
+  return graph;
+};
+
+test("a 20,000-protein chain does not overflow the stack", () => {
+  const n = 20000;
+  const graph = chain(n);
+  graph.addEdge(`P${n - 1}`, `P${n - 2}`, 0.9);
+
+  const components = graph.stronglyConnectedComponents();
+  assert.equal(components.length, n - 1);
+  assert.deepEqual(components[0].sort(), [`P${n - 2}`, `P${n - 1}`]);
+  assert.equal(graph.condensation().order.length, n - 1);
+  assert.equal(graph.diagnostics().largestStrongComponent, 2);
+  assert.equal(graph.feedbackLoops().length, 1);
+
+  const { idom } = graph.dominatorTree("P0");
+  assert.equal(idom.P0, null);
+  assert.equal(idom[`P${n - 1}`], `P${n - 2}`);
+  assert.equal(graph.chokepoints("P0", `P${n - 1}`).length, n - 2);
+
+  const { relevantOrder } = cascadeOrder(graph, {
+    sources: ["P0"],
+    destination: `P${n - 1}`,
+  });
+  assert.equal(relevantOrder.length, n - 1);
+});
+
+test("interactions with unknown proteins are refused by index", () => {
+  const graph = chain(3);
+  graph.adjacencyList.P0.push({ node: "GHOST", weight: 0.5 });
+  assert.throws(() => graph.index(), /P0 → GHOST/);
+  assert.deepEqual(graph.removeDanglingEdges(), ["P0 → GHOST"]);
+  assert.deepEqual(graph.index().names, ["P0", "P1", "P2"]);
+  assert.deepEqual(graph.dijkstra("P0", "P2"), ["P0", "P1", "P2"]);
+});
+
+test("bottlenecks hold up when a drug's route is 20,000 proteins deep", () => {
+  // Aspirin reaches its destination only through a long detour
+  const graph = new Graph();
+  loadInteractions(graph, proteinInteractions);
+  ["PTGS1", "PTGS2"].forEach((target) =>
+    [...graph.adjacencyList[target]].forEach(({ node }) =>
+      graph.removeEdge(target, node)
+    )
+  );
+  const n = 20000;
+  for (let i = 0; i < n; i++) graph.addVertex(`X${i}`);
+  graph.addEdge("PTGS1", "X0", 0.9);
+  for (let i = 1; i < n; i++) graph.addEdge(`X${i - 1}`, `X${i}`, 0.9);
+  graph.addEdge(`X${n - 1}`, "CYP19A1", 0.9);
+
+  const report = bottlenecks(graph, ["PTGS1", "PTGS2"], "CYP19A1");
+  assert.equal(report.chokepoints.length, n);
+  assert.equal(report.cut.length, 1);
+  const aspirin = bottleneckTable(graph).find((row) => row.drug === "aspirin");
+  assert.equal(aspirin.chokepoints.length, n);
+});
+
+test("kShortestPaths deviates from each ranked path without loops", () => {
+  const paths = yen.kShortestPaths("C", "H", 5, "inverse");
+  assert.deepEqual(
+    paths.map(({ path, cost }) => [path.join(""), round(cost)]),
+    [
+      ["CEFH", 0.5],
+      ["CEGH", 0.7],
+      ["CEFGH", 0.8],
+      ["CEDFH", 0.8],
+      ["CDFH", 0.8],
+    ]
+  );
+  paths.forEach(({ path }) => assert.equal(new Set(path).size, path.length));
+  assert.equal(yen.kShortestPaths("C", "H", 50, "inverse").length, 7);
+  assert.deepEqual(yen.kShortestPaths("H", "C"), []);
+});
+
+test("condensation collapses a cycle into one component", () => {
+  const { components, componentOf, dag, order, acyclic } = yen.condensation();
+  assert.deepEqual(
+    components.map((members) => members.sort().join("")),
+    ["H", "G", "F", "CDE"]
+  );
+  assert.equal(componentOf.C, componentOf.E);
+  assert.deepEqual(dag[componentOf.C].map((c) => components[c][0]).sort(), [
+    "F",
+    "G",
+  ]);
+  assert.deepEqual(
+    order.map((c) => components[c].join("")),
+    ["CDE", "F", "G", "H"]
+  );
+  assert.equal(acyclic, false);
+  assert.equal(network([["A", "B", 0.5]]).condensation().acyclic, true);
+});
+
+test("maxFlow matches the capacity of the minimum cut", () => {
+  const disjoint = yen.maxFlow("C", "H", { capacity: () => 1 });
+  assert.equal(disjoint.value, 2);
+  assert.deepEqual(disjoint.sourceSide, ["C"]);
+
+  const { value, cut, flows } = yen.maxFlow("C", "H");
+  assert.equal(round(value), 1.4);
+  assert.deepEqual(
+    cut.map(({ source, target }) => `${source}→${target}`),
+    ["C→E", "D→F"]
+  );
+  const into = (v) =>
+    flows.filter(({ target }) => target === v).reduce((s, f) => s + f.flow, 0);
+  assert.equal(round(into("H")), 1.4);
+  assert.throws(() => yen.maxFlow(["C", "H"], "H"), /Sink must differ/);
+});
+
+test("dominators are the proteins every route passes through", () => {
+  const graph = network([
+    ["S", "A", 0.9],
+    ["A", "B", 0.9],
+    ["A", "C", 0.9],
+    ["B", "D", 0.9],
+    ["C", "D", 0.9],
+    ["D", "T", 0.9],
+    ["X", "D", 0.9],
+  ]);
+  const { idom } = graph.dominatorTree("S");
+  assert.deepEqual(idom, { S: null, A: "S", B: "A", C: "A", D: "A", T: "D" });
+  assert.deepEqual(graph.chokepoints("S", "T"), ["A", "D"]);
+  // A second start bypasses A, so only D is left
+  assert.deepEqual(graph.chokepoints(["S", "X"], "T"), ["D"]);
+  assert.deepEqual(graph.chokepoints("T", "S"), []);
+});
+
+test("steinerTree links the terminals through the cheapest connectors", () => {
+  const tree = yen.steinerTree(["C", "H", "G", "NOPE"], "inverse");
+  assert.deepEqual(tree.nodes, ["C", "E", "F", "H", "G"]);
+  assert.deepEqual(tree.connectors, ["E", "F"]);
+  // G → H keeps its direction though G was joined from H
+  assert.deepEqual(
+    tree.edges.map(({ source, target }) => `${source}→${target}`),
+    ["C→E", "E→F", "F→H", "G→H"]
+  );
+  assert.deepEqual(tree.unreachable, ["NOPE"]);
+  assert.equal(round(tree.cost), 0.7);
+
+  const apart = network([
+    ["A", "B", 0.9],
+    ["Y", "Z", 0.9],
+  ]);
+  assert.deepEqual(apart.steinerTree(["A", "B", "Z"]).unreachable, ["Z"]);
+});
+
+test("communities separate two cliques joined by one weak link", () => {
+  const clique = (members) =>
+    members.flatMap((a) =>
+      members.filter((b) => b !== a).map((b) => [a, b, 0.9])
+    );
+  const graph = network([
+    ...clique(["A1", "A2", "A3", "A4"]),
+    ...clique(["B1", "B2", "B3", "B4"]),
+    ["A1", "B1", 0.1],
+  ]);
+  const { modules, moduleOf, modularity } = graph.communities();
+  assert.deepEqual(
+    modules.map((members) => members.sort()),
+    [
+      ["A1", "A2", "A3", "A4"],
+      ["B1", "B2", "B3", "B4"],
+    ]
+  );
+  assert.notEqual(moduleOf.A1, moduleOf.B1);
+  assert.ok(modularity > 0.45 && modularity < 0.5);
+  assert.deepEqual(new Graph().communities().modules, []);
+});
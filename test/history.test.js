@@ -0,0 +1,65 @@
+// ---------------- Command History ----------------
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CommandHistory } from "../config/history.js";
+
+const failing = (label) => ({
+  label,
+  do() {},
+  undo() {
+    throw new Error(`Cannot undo ${label}`);
+  },
+});
+
+const counter = (log, label) => ({
+  label,
+  do: () => log.push(`do ${label}`),
+  undo: () => log.push(`undo ${label}`),
+});
+
+test("undo and redo replay edits in order", () => {
+  const log = [];
+  const history = new CommandHistory(2);
+  ["a", "b", "c"].forEach((label) => history.execute(counter(log, label)));
+  assert.equal(history.undo().label, "c");
+  assert.equal(history.undo().label, "b");
+  // Only the last two edits are kept
+  assert.equal(history.undo(), null);
+  assert.equal(history.redo().label, "b");
+  history.execute(counter(log, "d"));
+  assert.equal(history.canRedo, false);
+  assert.deepEqual(log, [
+    "do a",
+    "do b",
+    "do c",
+    "undo c",
+    "undo b",
+    "do b",
+    "do d",
+  ]);
+});
+
+test("a failed undo keeps the command for another try", () => {
+  const history = new CommandHistory();
+  history.execute(failing("remove edge"));
+  assert.throws(() => history.undo(), /Cannot undo remove edge/);
+  assert.equal(history.canUndo, true);
+  assert.equal(history.canRedo, false);
+});
+
+test("a failed redo keeps the command for another try", () => {
+  const history = new CommandHistory();
+  let broken = false;
+  history.execute({
+    label: "add edge",
+    do() {
+      if (broken) throw new Error("Cannot redo add edge");
+    },
+    undo() {},
+  });
+  history.undo();
+  broken = true;
+  assert.throws(() => history.redo(), /Cannot redo add edge/);
+  assert.equal(history.canRedo, true);
+  assert.equal(history.canUndo, false);
+});
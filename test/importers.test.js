@@ -0,0 +1,105 @@
+// ---------------- Network File Import ----------------
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Graph } from "../config/Graph.js";
+import { parseNetworkFile, importEdges } from "../config/importers.js";
+
+test("a SIF line naming one protein adds it without interactions", () => {
+  const parsed = parseNetworkFile("A pp B C\nLONELY\nD pp\n", {
+    fileName: "net.sif",
+  });
+  assert.deepEqual(parsed.nodes, ["LONELY"]);
+  assert.deepEqual(
+    parsed.edges.map(({ source, target }) => `${source}→${target}`),
+    ["A→B", "A→C"]
+  );
+  assert.deepEqual(
+    parsed.rejected.map(({ line, reason }) => [line, reason]),
+    [[3, "expected: source type target…"]]
+  );
+
+  const graph = new Graph();
+  importEdges(graph, parsed.edges, { nodes: parsed.nodes });
+  assert.deepEqual(graph.adjacencyList.LONELY, []);
+  assert.equal(graph.adjacencyList.A.length, 2);
+});
+
+test("STRING scores are scaled to 0–1 and lose their taxon prefix", () => {
+  const parsed = parseNetworkFile(
+    [
+      "protein1 protein2 combined_score",
+      "9606.ENSP1 9606.ENSP2 900",
+      "9606.ENSP2 9606.ENSP3 150",
+      "9606.ENSP3 9606.ENSP4 1500",
+      "9606.ENSP4 9606.ENSP5 high",
+    ].join("\n"),
+    { fileName: "9606.protein.links.v12.txt", minScore: 0.4 }
+  );
+  assert.equal(parsed.format, "string");
+  assert.deepEqual(parsed.edges, [
+    {
+      source: "ENSP1",
+      target: "ENSP2",
+      weight: 0.9,
+      effect: undefined,
+      line: 2,
+    },
+  ]);
+  assert.equal(parsed.filtered, 1);
+  assert.deepEqual(
+    parsed.rejected.map(({ line, reason }) => [line, reason]),
+    [
+      [4, "weight 1.5 outside 0–1"],
+      [5, "malformed weight"],
+    ]
+  );
+});
+
+test("bad rows are rejected with their line numbers", () => {
+  const parsed = parseNetworkFile(
+    [
+      "source,target,confidence,effect",
+      "A,B,0.8,activates",
+      "B,C,-0.2",
+      "B,D,0.7,wobble",
+      "E",
+      ",F,0.5",
+    ].join("\n"),
+    { fileName: "net.csv" }
+  );
+  assert.equal(parsed.format, "csv");
+  assert.deepEqual(
+    parsed.edges.map(({ source, target, weight, effect }) => [
+      source,
+      target,
+      weight,
+      effect,
+    ]),
+    [["A", "B", 0.8, "activation"]]
+  );
+  assert.deepEqual(
+    parsed.rejected.map(({ line, reason }) => [line, reason]),
+    [
+      [3, "weight -0.2 outside 0–1"],
+      [4, 'unknown effect "wobble"'],
+      [5, "expected at least two columns"],
+      [6, "missing protein name"],
+    ]
+  );
+});
+
+test("duplicates and self-loops are reported when the edges are added", () => {
+  const { edges } = parseNetworkFile("A\tB\t0.8\nA\tB\t0.5\nC\tC\t0.4\n");
+  const graph = new Graph();
+  graph.addEdge("X", "Y", 0.9);
+  const { added, rejected } = importEdges(graph, edges, { replace: true });
+  assert.equal(added, 1);
+  assert.deepEqual(rejected, [
+    { line: 2, text: "A → B", reason: "duplicate edge not allowed." },
+    { line: 3, text: "C → C", reason: "self-loops not allowed." },
+  ]);
+  assert.deepEqual(graph.adjacencyList, {
+    A: [{ node: "B", weight: 0.8 }],
+    B: [],
+  });
+});
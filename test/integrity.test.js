@@ -0,0 +1,32 @@
+// ---------------- Data Integrity Checks ----------------
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkInteractionRows } from "../config/integrity.js";
+import { proteinInteractions } from "../data/interactions.js";
+
+test("the bundled interaction rows are clean", () => {
+  assert.deepEqual(checkInteractionRows(proteinInteractions), []);
+});
+
+test("raw rows report duplicates, conflicts, self-loops and bad effects", () => {
+  const issues = checkInteractionRows({
+    1: ["A", "B", 0.5],
+    2: ["A", "B", 0.7],
+    3: ["B", "C", 0.3],
+    4: ["B", "C", 0.3],
+    5: ["C", "C", 0.4],
+    6: ["C", "D", 0.5, "wobble"],
+    7: ["D"],
+  });
+  assert.deepEqual(
+    issues.map(({ severity, category }) => `${severity} ${category}`),
+    [
+      "error Conflicting interaction",
+      "warning Duplicate interaction",
+      "error Self-loop",
+      "error Unknown effect",
+      "error Malformed interaction",
+    ]
+  );
+  assert.match(issues[0].message, /Interactions 1 and 2/);
+});
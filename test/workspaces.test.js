@@ -0,0 +1,31 @@
+// ---------------- Workspaces ----------------
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WorkspaceStore } from "../config/workspaces.js";
+
+// Storage that accepts `room` writes, then fails like a full quota
+const storage = (room) => {
+  const items = {};
+  return {
+    getItem: (key) => items[key] ?? null,
+    setItem(key, value) {
+      if (room-- <= 0) throw new Error("QuotaExceededError");
+      items[key] = value;
+    },
+  };
+};
+const workspace = { network: { A: [] }, drugs: {}, destinations: {} };
+
+test("a failed write leaves the workspaces as they were stored", () => {
+  const store = new WorkspaceStore(storage(2));
+  store.save("one", workspace);
+  store.save("two", workspace);
+
+  assert.throws(() => store.duplicate("two", "copy"), /QuotaExceededError/);
+  assert.deepEqual(store.names(), ["one", "two"]);
+  assert.throws(() => store.activate("one"), /QuotaExceededError/);
+  assert.equal(store.active, "two");
+  assert.throws(() => store.remove("two"), /QuotaExceededError/);
+  assert.deepEqual(store.names(), ["one", "two"]);
+  assert.equal(store.active, "two");
+});